@@ -20,6 +20,18 @@ const fs = require('fs');
 
 const SRC_PATH = path.join(__dirname, 'src');
 const DST_PATH = path.join(__dirname, 'docs');
+// Local copy of Puppeteer releases; see generateReleaseBundle.
+const RELEASES_PATH = process.env.PPTR_RELEASES_PATH || path.join(__dirname, 'releases');
+// Releases to check pre-rendering with when there are no local releases.
+const FIXTURE_RELEASES_PATH = path.join(__dirname, 'test', 'fixtures', 'releases');
+// Has to be in sync with RELEASE_BUNDLE_FORMAT_VERSION and RELEASE_BUNDLE_URL in src/pptr/PPTRProduct.js
+const RELEASE_BUNDLE_FORMAT_VERSION = 1;
+const RELEASE_BUNDLE_NAME = 'releases.json.gz';
+// Canonical links of pre-rendered pages point to this origin.
+const SITE_ORIGIN = process.env.PPTR_SITE_ORIGIN || 'https://pptr.dev';
+const GENERATED_HTML_HEADER = '<!-- THIS FILE IS GENERATED BY build.js -->\n\n';
+// Limit of the sitemap protocol.
+const MAX_SITEMAP_URLS = 50000;
 
 if (os.platform() === 'win32') {
   console.error('ERROR: build is not supported on Win32');
@@ -43,22 +55,15 @@ if (os.platform() === 'win32') {
   });
 
   await step('2. generate index.js', async () => {
-    const rollup = require('rollup');
-    const UglifyJS = require('uglify-es');
-
-    const bundle = await rollup.rollup({input: path.join(SRC_PATH, 'index.js')});
-    const {code} = await bundle.generate({format: 'iife'});
-    const result = UglifyJS.minify(code);
-    if (result.error) {
-      console.error('JS Minification failed: ' + result.error);
-      process.exit(1);
-      return;
-    }
-
     const header = '/* THIS FILE IS GENERATED BY build.js */\n\n';
     const versionScript = `window.__WEBSITE_VERSION__ = "${BUILD_VERSION}";\n`;
-    const scriptContent = header + versionScript + result.code;
+    const scriptContent = header + versionScript + await bundleScript(path.join(SRC_PATH, 'index.js'));
     fs.writeFileSync(path.join(DST_PATH, 'index.js'), scriptContent, 'utf8');
+
+    // Search worker is loaded by URL relative to index.html, see SearchComponent.
+    const workerContent = header + await bundleScript(path.join(SRC_PATH, 'ui', 'SearchWorker.js'));
+    fs.mkdirSync(path.join(DST_PATH, 'ui'));
+    fs.writeFileSync(path.join(DST_PATH, 'ui', 'SearchWorker.js'), workerContent, 'utf8');
   });
 
   await step('3. generate style.css', async () => {
@@ -86,9 +91,11 @@ if (os.platform() === 'win32') {
       links.shift().href = './style.css';
       links.forEach(link => link.remove());
     });
-    const indexContent = '<!-- THIS FILE IS GENERATED BY build.js -->\n\n' + (await page.content()).split('\n').filter(line => !/^\s*$/.test(line)).join('\n');
+    const indexContent = GENERATED_HTML_HEADER + (await page.content()).split('\n').filter(line => !/^\s*$/.test(line)).join('\n');
     await browser.close();
     fs.writeFileSync(path.join(DST_PATH, 'index.html'), indexContent, 'utf8');
+    // Static hosting serves 404.html for paths like /v1.20.0/Page/goto; the app routes them itself.
+    fs.writeFileSync(path.join(DST_PATH, '404.html'), indexContent, 'utf8');
   });
 
   await step('5. copy images and favicons', async () => {
@@ -97,14 +104,50 @@ if (os.platform() === 'win32') {
     await cpAsync(path.join(SRC_PATH, 'favicons'), path.join(DST_PATH, 'favicons'));
   });
 
-  await step('6. generate sw.js', async () => {
+  await step('6. generate releases.json.gz', async () => {
+    if (!fs.existsSync(RELEASES_PATH)) {
+      console.log(`  - no releases found at ${RELEASES_PATH}, skipping.`);
+      return;
+    }
+    const bundle = generateReleaseBundle(RELEASES_PATH, BUILD_VERSION);
+    const size = writeReleaseBundle(DST_PATH, bundle);
+    const kbSize = Math.round(size / 1024 * 100) / 100;
+    console.log(`  - bundled ${bundle.releases.length} releases, totaling ${kbSize} Kb compressed.`);
+  });
+
+  await step('7. pre-render pages', async () => {
+    if (fs.existsSync(path.join(DST_PATH, RELEASE_BUNDLE_NAME))) {
+      const count = await prerenderPages(DST_PATH, await bundledVersionNames(DST_PATH));
+      console.log(`  - pre-rendered ${count} pages.`);
+      return;
+    }
+    // Fixture pages are rendered into a copy of the website that is thrown away.
+    const checkPath = fs.mkdtempSync(path.join(os.tmpdir(), 'pptr-prerender-'));
+    await cpAsync(DST_PATH, checkPath);
+    writeReleaseBundle(checkPath, generateReleaseBundle(FIXTURE_RELEASES_PATH, BUILD_VERSION));
+    const count = await prerenderPages(checkPath, await bundledVersionNames(checkPath));
+    await rmAsync(checkPath);
+    if (!count)
+      throw new Error('Failed to pre-render pages of fixture releases');
+    console.log(`  - no releases bundled; pre-rendered ${count} pages of fixture releases to check the build.`);
+  });
+
+  await step('8. generate sitemap.xml and opensearch.xml', async () => {
+    fs.writeFileSync(path.join(DST_PATH, 'opensearch.xml'), generateOpenSearchDescription(), 'utf8');
+    const paths = fs.existsSync(path.join(DST_PATH, RELEASE_BUNDLE_NAME)) ? await collectSitemapPaths(DST_PATH, await bundledVersionNames(DST_PATH)) : ['/'];
+    const count = writeSitemaps(DST_PATH, paths);
+    console.log(`  - sitemap lists ${paths.length} URLs in ${count} file(s).`);
+  });
+
+  await step('9. generate sw.js', async () => {
     const {injectManifest} = require('workbox-build');
 
     const {count, size} = await injectManifest({
       swSrc: path.join(SRC_PATH, 'sw-template.js'),
       swDest: path.join(DST_PATH, 'sw.js'),
       globDirectory: DST_PATH,
-      globIgnores: ['CNAME'],
+      // Pre-rendered pages are only needed until the app is loaded.
+      globIgnores: ['CNAME', 'v*/**', 'sitemap*.xml', 'opensearch.xml'],
       globPatterns: ['**/*']
     });
     const kbSize = Math.round(size / 1024 * 100) / 100;
@@ -117,6 +160,24 @@ if (os.platform() === 'win32') {
   console.log(`\nBuild ${BUILD_VERSION} is done in ${seconds} seconds.`);
 })();
 
+/**
+ * @param {string} inputPath
+ * @return {!Promise<string>} - minified script with all imports inlined.
+ */
+async function bundleScript(inputPath) {
+  const rollup = require('rollup');
+  const UglifyJS = require('uglify-es');
+
+  const bundle = await rollup.rollup({input: inputPath});
+  const {code} = await bundle.generate({format: 'iife'});
+  const result = UglifyJS.minify(code);
+  if (result.error) {
+    console.error('JS Minification failed: ' + result.error);
+    process.exit(1);
+  }
+  return result.code;
+}
+
 function rmAsync(dirPath) {
   const rimraf = require('rimraf');
   return new Promise((resolve, reject) => {
@@ -152,6 +213,246 @@ async function writeAsync(path, content) {
   });
 }
 
+/**
+ * Releases directory is expected to have the following layout:
+ *
+ *   README.md        - Puppeteer README.md
+ *   releases.json    - array of releases as returned by GitHub REST API
+ *   <tag>/api.md     - api.md for every release tag, e.g. v1.20.0/api.md
+ *
+ * Releases without api.md are not bundled; the website fetches them
+ * from network instead. Identical api.md files are stored only once.
+ *
+ * @param {string} releasesPath
+ * @param {string} buildVersion
+ */
+function generateReleaseBundle(releasesPath, buildVersion) {
+  const releasesJSONPath = path.join(releasesPath, 'releases.json');
+  const githubReleases = JSON.parse(fs.readFileSync(releasesJSONPath, 'utf8'));
+  // Initial release was published as a tag.
+  if (!githubReleases.find(release => release.tag_name === 'v0.9.0'))
+    githubReleases.push({tag_name: 'v0.9.0', body: '', published_at: 'August 16, 2017'});
+
+  const apiTexts = [];
+  const apiTextIndexes = new Map();
+  const releases = [];
+  for (const {tag_name, body, published_at} of githubReleases) {
+    const apiPath = path.join(releasesPath, tag_name, 'api.md');
+    if (!fs.existsSync(apiPath))
+      continue;
+    const apiText = fs.readFileSync(apiPath, 'utf8');
+    if (!apiTextIndexes.has(apiText)) {
+      apiTextIndexes.set(apiText, apiTexts.length);
+      apiTexts.push(apiText);
+    }
+    releases.push({tag_name, body, published_at, apiTextIndex: apiTextIndexes.get(apiText)});
+  }
+
+  return {
+    formatVersion: RELEASE_BUNDLE_FORMAT_VERSION,
+    buildVersion,
+    fetchTimestamp: fs.statSync(releasesJSONPath).mtime.getTime(),
+    readmeText: fs.readFileSync(path.join(releasesPath, 'README.md'), 'utf8'),
+    releases,
+    apiTexts,
+  };
+}
+
+/**
+ * Bundle is gzipped: api.md texts compress well, and the website
+ * decompresses it with DecompressionStream.
+ *
+ * @param {string} rootPath
+ * @param {!Object} bundle
+ * @return {number} - compressed size in bytes.
+ */
+function writeReleaseBundle(rootPath, bundle) {
+  const zlib = require('zlib');
+  const compressed = zlib.gzipSync(JSON.stringify(bundle), {level: zlib.constants.Z_BEST_COMPRESSION});
+  fs.writeFileSync(path.join(rootPath, RELEASE_BUNDLE_NAME), compressed);
+  return compressed.length;
+}
+
+/**
+ * Renders README of every release and every class page with the website itself,
+ * and saves them as `<version>/index.html` and `<version>/<class>/index.html`.
+ * Pages are served to the browser from rootPath under SITE_ORIGIN, the same way
+ * static hosting serves them; unknown paths get index.html.
+ *
+ * @param {string} rootPath - built website with bundled releases.
+ * @param {!Array<string>} versionNames
+ * @return {!Promise<number>} - number of pre-rendered pages.
+ */
+async function prerenderPages(rootPath, versionNames) {
+  const {browser, page} = await openWebsite(rootPath);
+  // The app replaces these elements once it is loaded, see index.js.
+  await page.evaluate(() => {
+    for (const element of document.body.children)
+      element.setAttribute('prerendered', '');
+  });
+
+  let count = 0;
+  for (const versionName of versionNames) {
+    const classPaths = await page.evaluate(versionName => window.__PPTR_PRERENDER__.classPaths(versionName), versionName);
+    for (const pagePath of [`/${versionName}`, ...classPaths]) {
+      await page.evaluate(pagePath => window.__PPTR_PRERENDER__.render(pagePath), pagePath);
+      const segments = pagePath.split('/').filter(segment => segment).map(decodeURIComponent);
+      for (let i = 1; i <= segments.length; ++i) {
+        const dirPath = path.join(rootPath, ...segments.slice(0, i));
+        if (!fs.existsSync(dirPath))
+          fs.mkdirSync(dirPath);
+      }
+      fs.writeFileSync(path.join(rootPath, ...segments, 'index.html'), GENERATED_HTML_HEADER + await page.content(), 'utf8');
+      ++count;
+    }
+  }
+  await browser.close();
+  return count;
+}
+
+/**
+ * Lists URL paths of every version and every entry, as linked from version outlines.
+ *
+ * @param {string} rootPath - built website with bundled releases.
+ * @param {!Array<string>} versionNames
+ * @return {!Promise<!Array<string>>}
+ */
+async function collectSitemapPaths(rootPath, versionNames) {
+  const {browser, page} = await openWebsite(rootPath);
+  const paths = new Set(['/']);
+  for (const versionName of versionNames) {
+    const outlinePaths = await page.evaluate(versionName => window.__PPTR_PRERENDER__.outlinePaths(versionName), versionName);
+    paths.add(`/${versionName}`);
+    paths.add(`/${versionName}/outline`);
+    for (const outlinePath of outlinePaths)
+      paths.add(outlinePath);
+  }
+  await browser.close();
+  return Array.from(paths);
+}
+
+/**
+ * Opens the built website in headless Chrome and waits for the app to load.
+ * Files are served from rootPath under SITE_ORIGIN, the same way static hosting
+ * serves them: unknown paths get index.html.
+ *
+ * @param {string} rootPath
+ * @return {!Promise<!{browser: !Object, page: !Object}>}
+ */
+async function openWebsite(rootPath) {
+  const pptr = require('puppeteer');
+  const browser = await pptr.launch();
+  const [page] = await browser.pages();
+  await page.setRequestInterception(true);
+  page.on('request', request => {
+    const url = new URL(request.url());
+    // Analytics, images from GitHub and background release updates are not needed.
+    if (url.origin !== SITE_ORIGIN) {
+      request.abort();
+      return;
+    }
+    const filePath = path.join(rootPath, decodeURIComponent(url.pathname));
+    if (fs.existsSync(filePath) && fs.statSync(filePath).isFile())
+      request.respond({status: 200, contentType: contentType(filePath), body: fs.readFileSync(filePath)});
+    else if (request.resourceType() === 'document')
+      request.respond({status: 200, contentType: contentType('index.html'), body: fs.readFileSync(path.join(rootPath, 'index.html'))});
+    else
+      request.respond({status: 404, contentType: 'text/plain', body: 'Not Found'});
+  });
+  await page.goto(SITE_ORIGIN + '/', {waitUntil: 'load'});
+  // See the pre-rendering hook in src/index.js.
+  await page.waitForFunction(() => !!window.__PPTR_PRERENDER__);
+  return {browser, page};
+}
+
+/**
+ * Sitemaps are limited to 50000 URLs; longer lists are split into several
+ * sitemaps, and sitemap.xml becomes their index.
+ *
+ * @param {string} rootPath
+ * @param {!Array<string>} paths
+ * @return {number} - number of written sitemap files.
+ */
+function writeSitemaps(rootPath, paths) {
+  const header = '<?xml version="1.0" encoding="UTF-8"?>\n';
+  const urlset = paths => header +
+      '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n' +
+      paths.map(urlPath => `  <url><loc>${escapeXML(SITE_ORIGIN + urlPath)}</loc></url>\n`).join('') +
+      '</urlset>\n';
+  if (paths.length <= MAX_SITEMAP_URLS) {
+    fs.writeFileSync(path.join(rootPath, 'sitemap.xml'), urlset(paths), 'utf8');
+    return 1;
+  }
+  const sitemapNames = [];
+  for (let i = 0; i < paths.length; i += MAX_SITEMAP_URLS) {
+    const sitemapName = `sitemap-${sitemapNames.length + 1}.xml`;
+    fs.writeFileSync(path.join(rootPath, sitemapName), urlset(paths.slice(i, i + MAX_SITEMAP_URLS)), 'utf8');
+    sitemapNames.push(sitemapName);
+  }
+  const index = header +
+      '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n' +
+      sitemapNames.map(sitemapName => `  <sitemap><loc>${escapeXML(SITE_ORIGIN + '/' + sitemapName)}</loc></sitemap>\n`).join('') +
+      '</sitemapindex>\n';
+  fs.writeFileSync(path.join(rootPath, 'sitemap.xml'), index, 'utf8');
+  return sitemapNames.length + 1;
+}
+
+/**
+ * Lets browsers add website search as a search engine; search opens with the `q=` URL parameter.
+ *
+ * @return {string}
+ */
+function generateOpenSearchDescription() {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<OpenSearchDescription xmlns="http://a9.com/-/spec/opensearch/1.1/">
+  <ShortName>pptr.dev</ShortName>
+  <Description>Search Puppeteer documentation</Description>
+  <InputEncoding>UTF-8</InputEncoding>
+  <Image width="16" height="16" type="image/x-icon">${escapeXML(SITE_ORIGIN)}/favicons/favicon.ico</Image>
+  <Url type="text/html" method="get" template="${escapeXML(SITE_ORIGIN)}/?q={searchTerms}"/>
+</OpenSearchDescription>
+`;
+}
+
+/**
+ * @param {string} text
+ * @return {string}
+ */
+function escapeXML(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+/**
+ * @param {string} filePath
+ * @return {string}
+ */
+function contentType(filePath) {
+  const types = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript',
+    '.css': 'text/css',
+    '.json': 'application/json',
+    '.gz': 'application/gzip',
+    '.xml': 'application/xml',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon',
+  };
+  return types[path.extname(filePath)] || 'application/octet-stream';
+}
+
+/**
+ * @param {string} rootPath - built website with bundled releases.
+ * @return {!Promise<!Array<string>>} - names of releases in the bundle.
+ */
+async function bundledVersionNames(rootPath) {
+  const zlib = require('zlib');
+  // Release names are parsed the same way the website does.
+  const {releaseNameFromTag} = await import('./src/pptr/releaseTag.js');
+  const bundle = JSON.parse(zlib.gunzipSync(fs.readFileSync(path.join(rootPath, RELEASE_BUNDLE_NAME))).toString('utf8'));
+  return bundle.releases.map(release => releaseNameFromTag(release.tag_name)).filter(name => name);
+}
+
 async function step(name, callback) {
   console.time(name);
   await callback();
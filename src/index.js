@@ -9,7 +9,40 @@ window.addEventListener('DOMContentLoaded', async () => {
   // await 'load' event: app navigation is based on 'popstate' event which doesn't fire
   // until 'load' is fired.
   await loadPromise;
+  // Pages pre-rendered by build.js stay visible until the app takes over.
+  for (const element of document.querySelectorAll('[prerendered]'))
+    element.remove();
   app.initialize(product);
+
+  // Pre-rendering hook for build.js; its presence means the app is ready.
+  window.__PPTR_PRERENDER__ = {
+    /**
+     * @param {string} pagePath - e.g. `/v1.20.0/Page`.
+     */
+    render(pagePath) {
+      app.navigateURL(pagePath);
+    },
+
+    /**
+     * @param {string} versionName
+     * @return {!Array<string>} - paths of class pages of the version.
+     */
+    classPaths(versionName) {
+      app.navigateURL(`/${versionName}`);
+      const classLinks = Array.from(document.querySelectorAll('sidebar-component a')).filter(link => link.querySelector('pptr-class-icon'));
+      return classLinks.map(link => link.pathname);
+    },
+
+    /**
+     * @param {string} versionName
+     * @return {!Array<string>} - paths of every entry of the version, as linked from its outline.
+     */
+    outlinePaths(versionName) {
+      app.navigateURL(`/${versionName}/outline`);
+      const links = Array.from(document.querySelectorAll('content-component a')).filter(link => link.origin === window.location.origin);
+      return links.map(link => link.pathname);
+    },
+  };
 });
 
 // Register service worker only for prod build.
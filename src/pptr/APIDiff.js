@@ -0,0 +1,122 @@
+/**
+ * Copyright 2018 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the 'License');
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an 'AS IS' BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const CLASS_REGEX = /^### class:\s+(\w+)\s*$/;
+const EVENT_REGEX = /^#### event:\s+'(\w+)'\s*$/;
+const METHOD_REGEX = /^#### \w+\.([\w$]+)\(/;
+const NAMESPACE_REGEX = /^#### \w+\.(\w+)\s*$/;
+
+/**
+ * @typedef {{symbol: string, kind: string, className: string, name: string, title: string, text: string}} DiffEntry
+ */
+
+export class APIDiff {
+  /**
+   * @param {!{name: string, apiText: string}} fromRelease
+   * @param {!{name: string, apiText: string}} toRelease
+   * @return {!APIDiff}
+   */
+  static create(fromRelease, toRelease) {
+    const fromEntries = APIDiff.parseEntries(fromRelease.apiText);
+    const toEntries = APIDiff.parseEntries(toRelease.apiText);
+    const diff = new APIDiff(fromRelease.name, toRelease.name);
+    for (const [symbol, entry] of toEntries) {
+      const fromEntry = fromEntries.get(symbol);
+      if (!fromEntry)
+        diff.added.push(entry);
+      else if (normalizeText(fromEntry.text) !== normalizeText(entry.text))
+        diff.changed.push({from: fromEntry, to: entry});
+    }
+    for (const [symbol, entry] of fromEntries) {
+      if (!toEntries.has(symbol))
+        diff.removed.push(entry);
+    }
+    return diff;
+  }
+
+  /**
+   * Split api.md into classes, events, methods and namespaces, keyed
+   * by symbol: `Page`, `Page.goto`, `Page.on:close`, `Page.keyboard`.
+   *
+   * @param {string} apiText
+   * @return {!Map<string, !DiffEntry>}
+   */
+  static parseEntries(apiText) {
+    const entries = new Map();
+    let className = '';
+    let entry = null;
+    for (const line of apiText.split('\n')) {
+      if (!line.startsWith('### ') && !line.startsWith('#### ')) {
+        if (entry)
+          entry.text += line + '\n';
+        continue;
+      }
+      entry = null;
+      const title = line.replace(/^#+\s*/, '').trim();
+      if (CLASS_REGEX.test(line)) {
+        className = line.match(CLASS_REGEX)[1];
+        entry = {symbol: className, kind: 'class', className, name: className, title, text: ''};
+      } else if (line.startsWith('### ')) {
+        // Sections are not part of the API surface.
+        className = '';
+      } else if (!className) {
+        continue;
+      } else if (EVENT_REGEX.test(line)) {
+        const name = line.match(EVENT_REGEX)[1];
+        entry = {symbol: `${className}.on:${name}`, kind: 'event', className, name, title: `${className}.on('${name}')`, text: ''};
+      } else if (METHOD_REGEX.test(line)) {
+        const name = line.match(METHOD_REGEX)[1];
+        entry = {symbol: `${className}.${name}`, kind: 'method', className, name, title, text: ''};
+      } else if (NAMESPACE_REGEX.test(line)) {
+        const name = line.match(NAMESPACE_REGEX)[1];
+        entry = {symbol: `${className}.${name}`, kind: 'namespace', className, name, title, text: ''};
+      }
+      if (entry && !entries.has(entry.symbol))
+        entries.set(entry.symbol, entry);
+    }
+    return entries;
+  }
+
+  /**
+   * @param {string} fromVersion
+   * @param {string} toVersion
+   */
+  constructor(fromVersion, toVersion) {
+    this.fromVersion = fromVersion;
+    this.toVersion = toVersion;
+    /** @type {!Array<!DiffEntry>} */
+    this.added = [];
+    /** @type {!Array<!DiffEntry>} */
+    this.removed = [];
+    /** @type {!Array<!{from: !DiffEntry, to: !DiffEntry}>} */
+    this.changed = [];
+  }
+
+  /**
+   * @return {boolean}
+   */
+  isEmpty() {
+    return !this.added.length && !this.removed.length && !this.changed.length;
+  }
+}
+
+/**
+ * @param {string} text
+ * @return {string}
+ */
+function normalizeText(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
@@ -17,6 +17,7 @@ import {} from '../third_party/commonmark.min.js';
 import {} from '../third_party/runmode-standalone.js';
 import {} from '../third_party/javascript.js';
 import {html} from '../ui/html.js';
+import {builtinTypeURL} from './BuiltinTypes.js';
 
 export class APIDocumentation {
   static markdownToDOM(markdownText, safe = false, softbreak) {
@@ -122,13 +123,12 @@ export class APIDocumentation {
     const doc = APIDocumentation.markdownToDOM(markdownText);
 
     // Translate all relative links to ppdoc links.
+    const localLinks = [];
     for (const anchor of doc.querySelectorAll('a')) {
       const href = anchor.getAttribute('href') || '';
       if (href.startsWith('#')) {
-        // Link referencing other part of documentation.
-        const githubAnchor = href.substring(1);
-        const entryId = APIDocumentation._idFromGHAnchor(githubAnchor);
-        anchor.setAttribute('href', app.linkURL('Puppeteer', version, entryId));
+        // Link referencing other part of documentation; resolved once entries have ids.
+        localLinks.push({anchor, githubAnchor: href.substring(1)});
       } else if (href.startsWith('/') || href.startsWith('../') || href.startsWith('./')) {
         // Link pointing somewhere to PPTR repository.
         const isRelease = /^\d+\.\d+\.\d+$/.test(version);
@@ -158,6 +158,12 @@ export class APIDocumentation {
         api.sections.push(APISection.create(api, title, content));
     }
     api._initializeContentIds();
+    for (const {anchor, githubAnchor} of localLinks) {
+      const entryId = APIDocumentation._idFromGHAnchor(githubAnchor);
+      const entry = api.idToEntry(entryId);
+      anchor.setAttribute('href', entry ? entry.linkURL() : app.linkURL('Puppeteer', version, entryId));
+    }
+    api._initializeTypeLinks();
     for (const apiClass of api.classes) {
       const classLifespan = classesLifespan.get(apiClass.name);
       apiClass._initializeSinceAndUntilLabels(classLifespan);
@@ -171,12 +177,145 @@ export class APIDocumentation {
     return 'api-' + githubAnchor;
   }
 
+  /**
+   * @param {string} title - entry title as in api.md, e.g. `page.goto(url[, options])`.
+   * @return {string}
+   */
+  static githubAnchor(title) {
+    return title.trim().toLowerCase().replace(/\s/g, '-').replace(/[^-0-9a-zа-яё]/ig, '');
+  }
+
+  /**
+   * Content id of the entry without rendering the documentation, e.g. `Page/goto`,
+   * `Page/on/close` or `release-notes`. Ids double as URL paths.
+   *
+   * @param {string} kind - `class`, `event`, `method`, `namespace` or `section`.
+   * @param {string} className - empty for sections.
+   * @param {string} name - entry name, e.g. `goto` or `Release Notes`.
+   * @return {string}
+   */
+  static entryContentId(kind, className, name) {
+    if (kind === 'section')
+      return APIDocumentation.githubAnchor(name);
+    if (kind === 'class')
+      return className;
+    if (kind === 'event')
+      return `${className}/on/${name}`;
+    return `${className}/${name}`;
+  }
+
+  /**
+   * Canonical symbol id of an API entry, the same in every version: `Page`, `Page.goto` or `Page.on:console`.
+   *
+   * @param {string} kind - `class`, `event`, `method` or `namespace`.
+   * @param {string} className
+   * @param {string} name
+   * @return {string}
+   */
+  static symbolId(kind, className, name) {
+    if (kind === 'class')
+      return className;
+    if (kind === 'event')
+      return `${className}.on:${name}`;
+    return `${className}.${name}`;
+  }
+
+  /**
+   * Methods and namespaces share the id format, so they are not told apart.
+   *
+   * @param {string} id - symbol id or content id of an API entry, e.g. `Page.on:console` or `Page/on/console`.
+   * @return {?{className: string, memberName: string, isEvent: boolean, symbolId: string, contentId: string}} - null for ids of other content, e.g. sections.
+   */
+  static parseSymbol(id) {
+    const match = id.match(/^([A-Z]\w*)(?:(?:\.on:|\/on\/)(\w+)|[./]([\w$]+))?$/);
+    if (!match)
+      return null;
+    const className = match[1];
+    const memberName = match[2] || match[3] || '';
+    const isEvent = !!match[2];
+    const kind = isEvent ? 'event' : (memberName ? 'method' : 'class');
+    const name = memberName || className;
+    return {
+      className,
+      memberName,
+      isEvent,
+      symbolId: APIDocumentation.symbolId(kind, className, name),
+      contentId: APIDocumentation.entryContentId(kind, className, name),
+    };
+  }
+
+  /**
+   * Parses method signature right from api.md, without rendering documentation,
+   * e.g. to compare signatures across releases. Descriptions are left as markdown.
+   *
+   * @param {!Array<string>} lines - lines of api.md.
+   * @param {number} headerIndex - index of method header, e.g. `#### page.goto(url[, options])`.
+   * @return {!MethodSignature}
+   */
+  static parseMethodSignature(lines, headerIndex) {
+    const argsMatch = lines[headerIndex].match(/\((.*)\)/);
+    const args = argsMatch ? argsMatch[1] : '';
+    const emptySignature = {args, parameters: [], returnType: null};
+    const items = [];
+    // Stack of items for nested option lists.
+    const path = [];
+    for (let i = headerIndex + 1; i < lines.length; ++i) {
+      const line = lines[i];
+      if (!line.trim()) {
+        if (items.length)
+          break;
+        continue;
+      }
+      if (!/^\s*[-*]\s/.test(line))
+        break;
+      const match = line.match(/^(\s*)[-*]\s+(?:`([^`]+)`|(returns):)(.*)$/);
+      const typeEnd = match ? findTypeExpressionEnd(match[4], 0) : -1;
+      // Lists that don't follow the format are not signatures, the same as in parseSignatureList.
+      if (typeEnd === -1)
+        return emptySignature;
+      const depth = Math.floor(match[1].length / 2);
+      const item = {
+        isReturn: !!match[3],
+        name: match[2] || '',
+        // Type links, e.g. `[Promise]<[string]>`, are rendered as their text.
+        type: match[4].substring(0, typeEnd).trim().slice(1, -1).replace(/\[([^\]]+)\]/g, '$1'),
+        description: match[4].substring(typeEnd).trim(),
+        properties: [],
+      };
+      path.length = depth;
+      if (depth) {
+        const parent = path[depth - 1];
+        if (!parent || item.isReturn)
+          return emptySignature;
+        parent.properties.push(item);
+      } else {
+        items.push(item);
+      }
+      path.push(item);
+    }
+    return createMethodSignature(args, items) || emptySignature;
+  }
+
+  /**
+   * Descriptions are not part of the signature.
+   *
+   * @param {!MethodSignature} a
+   * @param {!MethodSignature} b
+   * @return {boolean}
+   */
+  static isSameMethodSignature(a, b) {
+    const returnType = signature => signature.returnType ? signature.returnType.type : '';
+    return a.args === b.args && returnType(a) === returnType(b) && isSameParameterList(a.parameters, b.parameters);
+  }
+
   constructor(version) {
     this.version = version;
     this.sections = [];
     this.classes = [];
 
     this._idToEntry = new Map();
+    // Ids that entries had when they were named after GitHub anchors.
+    this._legacyIdToEntry = new Map();
   }
 
   createOutline() {
@@ -200,9 +339,16 @@ export class APIDocumentation {
 
   _initializeContentIds() {
     const githubAnchors = new Set();
+    const dedupContentId = id => {
+      let dedupId = id;
+      let counter = 0;
+      while (this._idToEntry.has(dedupId))
+        dedupId = id + '-' + (++counter);
+      return dedupId;
+    };
 
     const generateGithubAnchor = (title) => {
-      const id = title.trim().toLowerCase().replace(/\s/g, '-').replace(/[^-0-9a-zа-яё]/ig, '');
+      const id = APIDocumentation.githubAnchor(title);
       let dedupId = id;
       let counter = 0;
       while (githubAnchors.has(dedupId))
@@ -211,27 +357,55 @@ export class APIDocumentation {
       return dedupId;
     }
 
-    const assignId = (entry, title) => {
-      const contentId = APIDocumentation._idFromGHAnchor(generateGithubAnchor(title));
-      entry.contentId = contentId;
-      this._idToEntry.set(contentId, entry);
+    const assignId = (entry, contentId, title) => {
+      entry.contentId = dedupContentId(contentId);
+      this._idToEntry.set(entry.contentId, entry);
+      this._legacyIdToEntry.set(APIDocumentation._idFromGHAnchor(generateGithubAnchor(title)), entry);
     };
 
     for (const section of this.sections)
-      assignId(section, section.name);
+      assignId(section, APIDocumentation.entryContentId('section', '', section.name), section.name);
     for (const apiClass of this.classes) {
-      assignId(apiClass, `class: '${apiClass.name}'`);
+      const className = apiClass.name;
+      assignId(apiClass, APIDocumentation.entryContentId('class', className, className), `class: '${className}'`);
       for (const apiEvent of apiClass.events)
-        assignId(apiEvent, `event: '${apiEvent.name}'`);
+        assignId(apiEvent, APIDocumentation.entryContentId('event', className, apiEvent.name), `event: '${apiEvent.name}'`);
       for (const apiMethod of apiClass.methods)
-        assignId(apiMethod, `${apiClass.loweredName}.${apiMethod.name}(${apiMethod.args})`);
+        assignId(apiMethod, APIDocumentation.entryContentId('method', className, apiMethod.name), `${apiClass.loweredName}.${apiMethod.name}(${apiMethod.args})`);
       for (const ns of apiClass.namespaces)
-        assignId(ns, `${apiClass.loweredName}.${ns.name}`);
+        assignId(ns, APIDocumentation.entryContentId('namespace', className, ns.name), `${apiClass.loweredName}.${ns.name}`);
     }
   }
 
+  /**
+   * Links type references, e.g. `<[Promise]<[Response]>>`, to API classes
+   * and built-ins. Links to classes show class summary on hover.
+   */
+  _initializeTypeLinks() {
+    const classes = new Map(this.classes.map(apiClass => [apiClass.name, apiClass]));
+    const classLinks = new Map(this.classes.map(apiClass => [apiClass.linkURL(), apiClass]));
+    for (const apiClass of this.classes) {
+      for (const entry of [apiClass, ...apiClass.events, ...apiClass.methods, ...apiClass.namespaces]) {
+        linkifyTypeReferences(entry.element, classes);
+        for (const anchor of entry.element.querySelectorAll('a')) {
+          const linkedClass = classLinks.get(anchor.getAttribute('href'));
+          if (linkedClass)
+            attachTypeCard(anchor, linkedClass);
+        }
+      }
+    }
+  }
+
+  /**
+   * @param {string} id - content id, symbol id, or an id the entry had in hash URLs, e.g. `api-class-page`.
+   * @return {?APIEntry}
+   */
   idToEntry(id) {
-    return this._idToEntry.get(id) || null;
+    const entry = this._idToEntry.get(id) || this._legacyIdToEntry.get(id);
+    if (entry)
+      return entry;
+    const symbol = APIDocumentation.parseSymbol(id);
+    return symbol ? this._idToEntry.get(symbol.contentId) || null : null;
   }
 }
 
@@ -296,6 +470,16 @@ export class APISection extends APIEntry {
 }
 
 export class APIClass extends APIEntry {
+  /**
+   * @param {string} name - class name, e.g. `CDPSession`.
+   * @return {string} - name of class instances in code examples, e.g. `cdpSession`.
+   */
+  static lowerName(name) {
+    let lowerIndex = 1;
+    while (lowerIndex + 1 < name.length && name[lowerIndex + 1] === name[lowerIndex + 1].toUpperCase()) ++lowerIndex;
+    return name.substring(0, lowerIndex).toLowerCase() + name.substring(lowerIndex);
+  }
+
   static create(api, title, fragment) {
     const name = title.replace(/^class:/i, '').trim();
     const headers = fragment.querySelectorAll('h4');
@@ -331,9 +515,7 @@ export class APIClass extends APIEntry {
   constructor(api, name, element) {
     super(api, name, element);
     this.tableOfContentsText = `class: ${name}`;
-    let lowerIndex = 1;
-    while (lowerIndex < this.name.length && this.name[lowerIndex + 1] === this.name[lowerIndex + 1].toUpperCase()) ++lowerIndex;
-    this.loweredName = name.substring(0, lowerIndex).toLowerCase() + name.substring(lowerIndex);
+    this.loweredName = APIClass.lowerName(name);
     this.methods = [];
     this.events = [];
     this.namespaces = [];
@@ -396,6 +578,7 @@ export class APIClass extends APIEntry {
       } else {
         untilElement.remove();
       }
+      apiMethod._initializeSignatureLabel(classLifespan.methodsSignatures.get(apiMethod.name) || []);
     }
     for (const apiNamespace of this.namespaces) {
       const sinceElement = apiNamespace.element.querySelector('pptr-api-since');
@@ -461,11 +644,25 @@ export class APINamespace extends APIEntry {
   }
 }
 
+/**
+ * @typedef {{name: string, type: string, optional: boolean, defaultValue: string, description: string, properties: !Array<!MethodParameter>}} MethodParameter
+ */
+
+/**
+ * @typedef {{args: string, parameters: !Array<!MethodParameter>, returnType: ?{type: string, description: string}}} MethodSignature
+ */
+
+/**
+ * Item of a parameter list, e.g. `- \`selector\` <[string]> A selector to query page for`.
+ * @typedef {{isReturn: boolean, name: string, type: string, description: string, properties: !Array<!SignatureItem>}} SignatureItem
+ */
+
 export class APIMethod extends APIEntry {
   static create(apiClass, title, descFragment) {
     const name = title.match(/\.([^(]*)/)[1];
     const args = title.match(/\((.*)\)/)[1];
-    return new APIMethod(apiClass, name, args, html`
+    const signature = parseSignatureList(args, descFragment);
+    return new APIMethod(apiClass, name, args, signature, html`
       <api-method class=api-entry>
         <h4>
           <pptr-method-icon></pptr-method-icon>
@@ -473,6 +670,7 @@ export class APIMethod extends APIEntry {
           <api-method-name>.${name}</api-method-name>
           <api-method-args>(${args})</api-method-args>
           <pptr-api-since></pptr-api-since>
+          <pptr-api-signature tabindex=0></pptr-api-signature>
           <pptr-api-until></pptr-api-until>
         </h4>
         ${descFragment}
@@ -480,11 +678,49 @@ export class APIMethod extends APIEntry {
     `);
   }
 
-  constructor(apiClass, name, args, element) {
+  /**
+   * @param {!APIClass} apiClass
+   * @param {string} name
+   * @param {string} args
+   * @param {!MethodSignature} signature
+   * @param {!Element} element
+   */
+  constructor(apiClass, name, args, signature, element) {
     super(apiClass.api, name, element);
     this.tableOfContentsText = `${apiClass.loweredName}.${name}(${args})`;
     this.apiClass = apiClass;
     this.args = args;
+    this.parameters = signature.parameters;
+    this.returnType = signature.returnType;
+    // Distinct signatures of the method up to this version, oldest first.
+    this.signatureHistory = [];
+  }
+
+  /**
+   * @param {!Array<!{version: string, signature: !MethodSignature}>} signatureHistory
+   */
+  _initializeSignatureLabel(signatureHistory) {
+    this.signatureHistory = signatureHistory;
+    const signatureElement = this.element.querySelector('pptr-api-signature');
+    if (signatureHistory.length < 2) {
+      signatureElement.remove();
+      return;
+    }
+    const lastChange = signatureHistory[signatureHistory.length - 1];
+    const revisions = signatureHistory.map(({version, signature}, index) => {
+      const next = signatureHistory[index + 1];
+      return html`
+        <pptr-api-signature-revision>
+          <pptr-api-signature-versions>${next ? `${version} \u2013 ${next.version}` : `since ${version}`}</pptr-api-signature-versions>
+          <code>${this.apiClass.loweredName}.${this.name}(${signature.args})</code>
+          <ul>${signatureSummary(signature).map(line => html`<li><code>${line}</code></li>`)}</ul>
+        </pptr-api-signature-revision>
+      `;
+    }).reverse();
+    signatureElement.appendChild(html`
+      <pptr-api-signature-label>${lastChange.version}</pptr-api-signature-label>
+      <pptr-api-signature-popover>${revisions}</pptr-api-signature-popover>
+    `);
   }
 }
 
@@ -510,6 +746,335 @@ export class APIEvent extends APIEntry {
   }
 }
 
+/**
+ * api.md documents parameters with a list that goes right after method header:
+ *
+ *   - `selector` <[string]> A selector to query page for
+ *   - `options` <[Object]> Optional waiting parameters
+ *     - `timeout` <[number]> Maximum time to wait for. Defaults to `30000`.
+ *   - returns: <[Promise]<[ElementHandle]>>
+ *
+ * The list is parsed into a structured signature and replaced with a table.
+ * Lists that don't follow the format are left intact.
+ *
+ * @param {string} args - method arguments from the header, e.g. `selector[, options]`.
+ * @param {!DocumentFragment} descFragment
+ * @return {!MethodSignature}
+ */
+function parseSignatureList(args, descFragment) {
+  const emptySignature = {args, parameters: [], returnType: null};
+  const list = descFragment.firstElementChild;
+  if (!list || list.tagName !== 'UL')
+    return emptySignature;
+  const items = Array.from(list.children).map(parseSignatureItem);
+  const signature = items.some(item => !item) ? null : createMethodSignature(args, items);
+  if (!signature)
+    return emptySignature;
+
+  const rows = [];
+  const parameters = signature.parameters.slice();
+  for (const item of items) {
+    if (item.isReturn) {
+      rows.push(renderSignatureRow('returns', item, false, ''));
+      continue;
+    }
+    const parameter = parameters.shift();
+    rows.push(renderSignatureRow(parameter.name, item, parameter.optional, parameter.defaultValue));
+    for (let i = 0; i < parameter.properties.length; ++i)
+      rows.push(...renderPropertyRows(parameter.name, parameter.properties[i], item.properties[i]));
+  }
+  // Template parameters can't be placed directly inside tables.
+  const table = html`
+    <table class=pptr-signature-table>
+      <thead><tr><th>Name</th><th>Type</th><th>Default</th><th>Description</th></tr></thead>
+      <tbody></tbody>
+    </table>
+  `;
+  for (const row of rows)
+    table.$('tbody').appendChild(row);
+  list.replaceWith(table);
+  return signature;
+}
+
+/**
+ * @param {string} args - method arguments from the header, e.g. `selector[, options]`.
+ * @param {!Array<!SignatureItem>} items
+ * @return {?MethodSignature} - null if there's more than one return type.
+ */
+function createMethodSignature(args, items) {
+  if (items.filter(item => item.isReturn).length > 1)
+    return null;
+  // Optional arguments are wrapped in brackets: `a[, b[, c]]`.
+  const optionalNames = new Set();
+  let depth = 0;
+  for (const token of args.split(/([\[\],])/)) {
+    if (token === '[')
+      ++depth;
+    else if (token === ']')
+      --depth;
+    else if (depth && token.trim())
+      optionalNames.add(token.trim());
+  }
+
+  const signature = {args, parameters: [], returnType: null};
+  for (const item of items) {
+    if (item.isReturn)
+      signature.returnType = {type: item.type, description: item.description};
+    else
+      signature.parameters.push(toMethodParameter(item, optionalNames.has(item.name)));
+  }
+  return signature;
+}
+
+/**
+ * @param {!Array<!MethodParameter>} a
+ * @param {!Array<!MethodParameter>} b
+ * @return {boolean}
+ */
+function isSameParameterList(a, b) {
+  if (a.length !== b.length)
+    return false;
+  return a.every((parameter, index) => {
+    const other = b[index];
+    return parameter.name === other.name && parameter.type === other.type && parameter.optional === other.optional &&
+        isSameParameterList(parameter.properties, other.properties);
+  });
+}
+
+/**
+ * @param {!MethodSignature} signature
+ * @return {!Array<string>} - parameters, including option properties, and return type, e.g. `options.timeout?: number`.
+ */
+function signatureSummary(signature) {
+  const lines = [];
+  const addParameters = (prefix, parameters) => {
+    for (const parameter of parameters) {
+      lines.push(`${prefix}${parameter.name}${parameter.optional ? '?' : ''}: ${parameter.type}`);
+      addParameters(`${prefix}${parameter.name}.`, parameter.properties);
+    }
+  };
+  addParameters('', signature.parameters);
+  if (signature.returnType)
+    lines.push(`returns: ${signature.returnType.type}`);
+  return lines;
+}
+
+/**
+ * Parses `- \`name\` <type> description` and `- returns: <type> description`
+ * without modifying DOM.
+ *
+ * @param {!Element} item
+ * @return {?SignatureItem} - with DOM offsets of type and description.
+ */
+function parseSignatureItem(item) {
+  // Items of loose lists are wrapped in paragraphs.
+  const container = item.firstElementChild && item.firstElementChild.tagName === 'P' ? item.firstElementChild : item;
+  const text = Array.from(container.childNodes).filter(node => node.nodeName !== 'UL').map(node => node.textContent).join('');
+  let name = '';
+  let typeStart = 0;
+  const returnsMatch = text.match(/^\s*returns:/);
+  if (returnsMatch) {
+    typeStart = returnsMatch[0].length;
+  } else {
+    const code = container.firstElementChild;
+    if (!code || code.tagName !== 'CODE' || !text.trimStart().startsWith(code.textContent))
+      return null;
+    name = code.textContent;
+    typeStart = text.indexOf(name) + name.length;
+  }
+  const typeEnd = findTypeExpressionEnd(text, typeStart);
+  if (typeEnd === -1)
+    return null;
+  const nestedList = Array.from(item.children).find(child => child.tagName === 'UL');
+  const properties = nestedList ? Array.from(nestedList.children).map(parseSignatureItem) : [];
+  if (properties.some(property => !property || property.isReturn))
+    return null;
+  return {
+    isReturn: !!returnsMatch,
+    name,
+    type: text.substring(typeStart, typeEnd).trim().slice(1, -1),
+    description: text.substring(typeEnd).trim(),
+    properties,
+    container,
+    typeStart,
+    typeEnd,
+    textLength: text.length,
+  };
+}
+
+/**
+ * @param {string} text
+ * @param {number} from
+ * @return {number} - index after the closing bracket of `<type>`, or -1.
+ */
+function findTypeExpressionEnd(text, from) {
+  let index = from;
+  while (index < text.length && /\s/.test(text[index]))
+    ++index;
+  if (text[index] !== '<')
+    return -1;
+  let depth = 0;
+  for (; index < text.length; ++index) {
+    if (text[index] === '<')
+      ++depth;
+    else if (text[index] === '>' && --depth === 0)
+      return index + 1;
+  }
+  return -1;
+}
+
+/**
+ * @param {!SignatureItem} item
+ * @param {boolean} optional
+ * @return {!MethodParameter}
+ */
+function toMethodParameter(item, optional) {
+  const defaultMatch = item.description.match(/\bdefaults? (?:to|is) `([^`]+)`/i) || item.description.match(/\bdefaults? (?:to|is) ([\w'"-]+)/i);
+  return {
+    name: item.name,
+    type: item.type,
+    optional,
+    defaultValue: defaultMatch ? defaultMatch[1] : '',
+    description: item.description,
+    // Option properties are optional unless stated otherwise.
+    properties: item.properties.map(property => toMethodParameter(property, !/\brequired\b/i.test(property.description))),
+  };
+}
+
+/**
+ * @param {string} prefix
+ * @param {!MethodParameter} property
+ * @param {!Object} item
+ * @return {!Array<!Element>}
+ */
+function renderPropertyRows(prefix, property, item) {
+  const name = `${prefix}.${property.name}`;
+  const rows = [renderSignatureRow(name, item, property.optional, property.defaultValue)];
+  rows[0].classList.add('pptr-signature-property');
+  for (let i = 0; i < property.properties.length; ++i)
+    rows.push(...renderPropertyRows(name, property.properties[i], item.properties[i]));
+  return rows;
+}
+
+/**
+ * Moves type and description out of the list item, keeping their links.
+ *
+ * @param {string} name
+ * @param {!Object} item
+ * @param {boolean} optional
+ * @param {string} defaultValue
+ * @return {!Element}
+ */
+function renderSignatureRow(name, item, optional, defaultValue) {
+  // Description goes first so that type offsets stay valid.
+  const description = extractTextRange(item.container, item.typeEnd, item.textLength);
+  const type = extractTextRange(item.container, item.typeStart, item.typeEnd);
+  return html`
+    <tr>
+      <td><code>${name}</code>${optional ? html`<pptr-signature-optional>optional</pptr-signature-optional>` : ''}</td>
+      <td><code>${type}</code></td>
+      <td>${defaultValue ? html`<code>${defaultValue}</code>` : ''}</td>
+      <td>${description}</td>
+    </tr>
+  `;
+}
+
+/**
+ * Text nodes are split at range boundaries; elements are moved as a whole.
+ *
+ * @param {!Element} container
+ * @param {number} from
+ * @param {number} to
+ * @return {!DocumentFragment}
+ */
+function extractTextRange(container, from, to) {
+  const fragment = document.createDocumentFragment();
+  let offset = 0;
+  for (const node of Array.from(container.childNodes)) {
+    if (node.nodeName === 'UL')
+      continue;
+    const start = offset;
+    offset += node.textContent.length;
+    if (offset <= from || start >= to)
+      continue;
+    let target = node;
+    if (node.nodeType === Node.TEXT_NODE) {
+      if (to < offset)
+        node.splitText(to - start);
+      if (from > start)
+        target = node.splitText(from - start);
+    }
+    fragment.appendChild(target);
+  }
+  return fragment;
+}
+
+/**
+ * Markdown leaves `[Name]` as is if api.md misses link definition for it.
+ *
+ * @param {!Element} element
+ * @param {!Map<string, !APIClass>} classes
+ */
+function linkifyTypeReferences(element, classes) {
+  const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+  const textNodes = [];
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    if (node.data.includes('[') && !node.parentElement.closest('a, pre'))
+      textNodes.push(node);
+  }
+  const typeRegex = /\[([\w.]+)\]/g;
+  for (const node of textNodes) {
+    const text = node.data;
+    const fragment = document.createDocumentFragment();
+    let lastIndex = 0;
+    let match;
+    typeRegex.lastIndex = 0;
+    while ((match = typeRegex.exec(text)) !== null) {
+      const typeName = match[1];
+      const apiClass = classes.get(typeName);
+      const url = apiClass ? null : builtinTypeURL(typeName);
+      if (!apiClass && !url)
+        continue;
+      fragment.appendChild(document.createTextNode(text.substring(lastIndex, match.index)));
+      if (apiClass)
+        fragment.appendChild(html`<a href=${apiClass.linkURL()}>${typeName}</a>`);
+      else
+        fragment.appendChild(html`<a href=${url}>${typeName}<external-link-icon></external-link-icon></a>`);
+      lastIndex = typeRegex.lastIndex;
+    }
+    if (!lastIndex)
+      continue;
+    if (lastIndex < text.length)
+      fragment.appendChild(document.createTextNode(text.substring(lastIndex)));
+    node.replaceWith(fragment);
+  }
+}
+
+/**
+ * @param {!Element} anchor
+ * @param {!APIClass} apiClass
+ */
+function attachTypeCard(anchor, apiClass) {
+  const wrapper = html`<pptr-type-link></pptr-type-link>`;
+  anchor.replaceWith(wrapper);
+  wrapper.appendChild(anchor);
+  // Cards are rendered lazily: there are thousands of type references.
+  const renderCard = () => {
+    if (wrapper.querySelector('pptr-type-card'))
+      return;
+    const summary = apiClass.element.querySelector('p');
+    wrapper.appendChild(html`
+      <pptr-type-card>
+        <pptr-type-card-title>class: ${apiClass.name}</pptr-type-card-title>
+        ${summary ? summary.cloneNode(true) : ''}
+      </pptr-type-card>
+    `);
+  };
+  wrapper.addEventListener('mouseenter', renderCard);
+  wrapper.addEventListener('focusin', renderCard);
+}
+
 /**
  * @param {!Node} fromInclusive
  * @param {!Node} toExclusive
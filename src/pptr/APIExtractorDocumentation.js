@@ -0,0 +1,285 @@
+/**
+ * Copyright 2018 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the 'License');
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an 'AS IS' BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import {APIClass} from './APIDocumentation.js';
+import {builtinTypeURL} from './BuiltinTypes.js';
+
+// Words inside type expressions that are not type names.
+const TYPE_KEYWORDS = new Set([
+  'typeof', 'keyof', 'readonly', 'infer', 'extends', 'in', 'is', 'as', 'unique', 'new',
+]);
+
+// Enums that list events of a class, e.g. PageEmittedEvents or PageEvent.
+const EVENTS_ENUM_REGEX = /^(\w+?)(?:Emitted)?Events?$/;
+
+/**
+ * Starting with 15.3.0, Puppeteer documentation is generated with api-extractor
+ * instead of being written in api.md. This translates api-extractor documentation
+ * model (`.api.json`) into markdown that follows api.md conventions, so that it
+ * can be consumed by APIDocumentation.create and the rest of the website:
+ * - classes and interfaces become `### class: Name` sections
+ * - methods become `#### className.method(args)` with parameter lists
+ * - properties become `#### className.property` namespaces
+ * - members of `<Class>EmittedEvents` enums become `#### event: 'name'`
+ */
+export class APIExtractorDocumentation {
+  /**
+   * @param {!Object} apiModel
+   * @return {string}
+   */
+  static toMarkdown(apiModel) {
+    const items = [];
+    for (const entryPoint of apiModel.members || [])
+      items.push(...(entryPoint.members || []));
+    return new APIExtractorDocumentation(items)._render();
+  }
+
+  /**
+   * @param {!Array<!Object>} items
+   */
+  constructor(items) {
+    this._items = items;
+    this._typeItems = new Map();
+    for (const item of items) {
+      if (item.kind === 'Class' || item.kind === 'Interface')
+        this._typeItems.set(item.name, item);
+    }
+    this._referencedTypes = new Set();
+  }
+
+  _render() {
+    const lines = [];
+    const events = new Map();
+    const otherItems = [];
+    for (const item of this._items) {
+      const match = item.kind === 'Enum' ? item.name.match(EVENTS_ENUM_REGEX) : null;
+      if (match && this._typeItems.has(match[1]))
+        events.set(match[1], item.members || []);
+      else if (!this._typeItems.has(item.name))
+        otherItems.push(item);
+    }
+
+    if (otherItems.length) {
+      lines.push('### Other Exports', '');
+      for (const item of otherItems) {
+        const doc = parseDocComment(item.docComment);
+        lines.push(`##### ${item.kind}: ${item.name}`, '');
+        lines.push('```ts', excerptText(item, {startIndex: 0, endIndex: (item.excerptTokens || []).length}), '```', '');
+        lines.push(...this._docLines(doc));
+      }
+    }
+
+    for (const [className, item] of this._typeItems) {
+      const doc = parseDocComment(item.docComment);
+      lines.push(`### class: ${className}`, '');
+      lines.push(...this._docLines(doc));
+
+      const lowered = APIClass.lowerName(className);
+      for (const member of events.get(className) || []) {
+        const eventName = eventNameFromEnumMember(member);
+        if (!eventName)
+          continue;
+        lines.push(`#### event: '${eventName}'`);
+        lines.push(...this._docLines(parseDocComment(member.docComment)));
+      }
+      for (const member of item.members || []) {
+        if (member.kind === 'Property' || member.kind === 'PropertySignature')
+          lines.push(...this._propertyLines(lowered, member));
+      }
+      for (const member of item.members || []) {
+        if (member.kind === 'Method' || member.kind === 'MethodSignature')
+          lines.push(...this._methodLines(lowered, member));
+      }
+    }
+
+    lines.push('');
+    for (const typeName of this._referencedTypes) {
+      if (this._typeItems.has(typeName))
+        lines.push(`[${typeName}]: #class-${typeName.toLowerCase()} "${typeName}"`);
+      else if (builtinTypeURL(typeName))
+        lines.push(`[${typeName}]: ${builtinTypeURL(typeName)} "${typeName}"`);
+    }
+    return lines.join('\n');
+  }
+
+  _propertyLines(lowered, member) {
+    const doc = parseDocComment(member.docComment);
+    return [
+      `#### ${lowered}.${member.name}`,
+      `- returns: ${this._typeExpression(member, member.propertyTypeTokenRange)}`,
+      '',
+      ...this._docLines(doc),
+    ];
+  }
+
+  _methodLines(lowered, member) {
+    const doc = parseDocComment(member.docComment);
+    const parameters = member.parameters || [];
+    // Optional parameters are written as `method(a[, b[, c]])` in api.md.
+    let args = '';
+    let optionalCount = 0;
+    for (const parameter of parameters) {
+      const separator = args ? ', ' : '';
+      if (parameter.isOptional) {
+        args += `[${separator}${parameter.parameterName}`;
+        ++optionalCount;
+      } else {
+        args += separator + parameter.parameterName;
+      }
+    }
+    args += ']'.repeat(optionalCount);
+
+    const lines = [`#### ${lowered}.${member.name}(${args})`];
+    for (const parameter of parameters) {
+      const type = this._typeExpression(member, parameter.parameterTypeTokenRange);
+      lines.push(`- \`${parameter.parameterName}\` ${type} ${this._linkify(oneLine(doc.params.get(parameter.parameterName) || ''))}`.trimEnd());
+      // Expand option bags, e.g. `options?: WaitForOptions`.
+      for (const property of this._optionProperties(member, parameter.parameterTypeTokenRange)) {
+        const propertyDoc = parseDocComment(property.docComment);
+        const propertyType = this._typeExpression(property, property.propertyTypeTokenRange);
+        lines.push(`  - \`${property.name}\` ${propertyType} ${this._linkify(oneLine(propertyDoc.summary))}`.trimEnd());
+      }
+    }
+    if (member.returnTypeTokenRange)
+      lines.push(`- returns: ${this._typeExpression(member, member.returnTypeTokenRange)} ${this._linkify(oneLine(doc.returns))}`.trimEnd());
+    lines.push('');
+    lines.push(...this._docLines(doc));
+    return lines;
+  }
+
+  _optionProperties(member, range) {
+    const tokens = (member.excerptTokens || []).slice(range.startIndex, range.endIndex);
+    const references = tokens.filter(token => token.kind === 'Reference' && this._typeItems.has(token.text));
+    if (references.length !== 1)
+      return [];
+    const typeItem = this._typeItems.get(references[0].text);
+    if (typeItem.kind !== 'Interface')
+      return [];
+    return (typeItem.members || []).filter(member => member.kind === 'PropertySignature');
+  }
+
+  _typeExpression(item, range) {
+    if (!range)
+      return '';
+    const text = excerptText(item, range, (token, text) => {
+      if (token.kind === 'Reference')
+        return this._typeLink(text);
+      // Leave string literal types, e.g. 'load', intact.
+      return text.replace(/(['"`])(?:(?!\1).)*\1|[A-Za-z_$][\w$]*/g, word => {
+        if (/^['"`]/.test(word) || TYPE_KEYWORDS.has(word))
+          return word;
+        return this._typeLink(word);
+      });
+    });
+    return `<${text.replace(/\s+/g, ' ').trim()}>`;
+  }
+
+  _typeLink(typeName) {
+    this._referencedTypes.add(typeName);
+    return `[${typeName}]`;
+  }
+
+  _docLines(doc) {
+    const lines = [];
+    if (doc.deprecated)
+      lines.push(`> **Deprecated** ${this._linkify(doc.deprecated)}`, '');
+    if (doc.summary)
+      lines.push(this._linkify(doc.summary), '');
+    if (doc.remarks)
+      lines.push(this._linkify(doc.remarks), '');
+    for (const example of doc.examples)
+      lines.push(example, '');
+    return lines;
+  }
+
+  /**
+   * @param {string} text
+   * @return {string}
+   */
+  _linkify(text) {
+    // {@link Page.goto | goto} and {@link Page}
+    return text.replace(/\{@link\s+([^}|]+?)\s*(?:\|\s*([^}]+?)\s*)?\}/g, (match, target, title) => {
+      if (this._typeItems.has(target))
+        return title ? `[${title}]${this._typeLink(target)}` : this._typeLink(target);
+      return '`' + (title || target) + '`';
+    });
+  }
+}
+
+/**
+ * @param {!Object} item
+ * @param {!{startIndex: number, endIndex: number}} range
+ * @param {function(!Object, string):string=} mapToken
+ * @return {string}
+ */
+function excerptText(item, range, mapToken = (token, text) => text) {
+  const tokens = (item.excerptTokens || []).slice(range.startIndex, range.endIndex);
+  return tokens.map(token => mapToken(token, token.text)).join('');
+}
+
+/**
+ * Splits TSDoc comment into its summary and block tags.
+ *
+ * @param {string=} docComment
+ * @return {!{summary: string, remarks: string, returns: string, deprecated: string, params: !Map<string, string>, examples: !Array<string>}}
+ */
+function parseDocComment(docComment = '') {
+  const doc = {summary: '', remarks: '', returns: '', deprecated: '', params: new Map(), examples: []};
+  const text = docComment
+      .replace(/^\s*\/\*\*/, '')
+      .replace(/\*\/\s*$/, '')
+      .split('\n')
+      .map(line => line.replace(/^\s*\* ?/, ''))
+      .join('\n');
+  const blocks = text.split(/^(?=@\w+)/m);
+  doc.summary = blocks[0].trim();
+  for (const block of blocks.slice(1)) {
+    const [, tag, body] = block.match(/^@(\w+)\s*([\s\S]*)$/);
+    if (tag === 'remarks') {
+      doc.remarks = body.trim();
+    } else if (tag === 'returns') {
+      doc.returns = body.trim();
+    } else if (tag === 'deprecated') {
+      doc.deprecated = body.trim();
+    } else if (tag === 'example') {
+      doc.examples.push(body.trim());
+    } else if (tag === 'param') {
+      const match = body.match(/^([\w$.]+)\s*-?\s*([\s\S]*)$/);
+      if (match)
+        doc.params.set(match[1], match[2].trim());
+    }
+    // Modifier tags, e.g. @public or @eventProperty, are ignored.
+  }
+  return doc;
+}
+
+/**
+ * @param {!Object} member
+ * @return {?string}
+ */
+function eventNameFromEnumMember(member) {
+  const range = member.initializerTokenRange;
+  const initializer = range ? excerptText(member, range).trim() : '';
+  const match = initializer.match(/^(['"])(\w+)\1$/);
+  return match ? match[2] : null;
+}
+
+/**
+ * @param {string} text
+ * @return {string}
+ */
+function oneLine(text) {
+  return text.replace(/\s*\n\s*/g, ' ');
+}
@@ -0,0 +1,54 @@
+/**
+ * Copyright 2018 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the 'License');
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an 'AS IS' BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const MDN_JS_URL = 'https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/';
+const MDN_DOM_URL = 'https://developer.mozilla.org/en-US/docs/Web/API/';
+
+// Keys are lower-cased: api.md uses both `[Object]` and `[string]`.
+const BUILTIN_TYPE_URLS = new Map([
+  ['array', MDN_JS_URL + 'Array'],
+  ['bigint', MDN_JS_URL + 'BigInt'],
+  ['boolean', MDN_JS_URL + 'Boolean'],
+  ['date', MDN_JS_URL + 'Date'],
+  ['error', MDN_JS_URL + 'Error'],
+  ['function', MDN_JS_URL + 'Function'],
+  ['map', MDN_JS_URL + 'Map'],
+  ['null', MDN_JS_URL + 'null'],
+  ['number', MDN_JS_URL + 'Number'],
+  ['object', MDN_JS_URL + 'Object'],
+  ['promise', MDN_JS_URL + 'Promise'],
+  ['regexp', MDN_JS_URL + 'RegExp'],
+  ['set', MDN_JS_URL + 'Set'],
+  ['string', MDN_JS_URL + 'String'],
+  ['symbol', MDN_JS_URL + 'Symbol'],
+  ['uint8array', MDN_JS_URL + 'Uint8Array'],
+  ['undefined', MDN_JS_URL + 'undefined'],
+  ['element', MDN_DOM_URL + 'Element'],
+  ['node', MDN_DOM_URL + 'Node'],
+  ['uievent.detail', MDN_DOM_URL + 'UIEvent/detail'],
+  ['buffer', 'https://nodejs.org/api/buffer.html#buffer_class_buffer'],
+  ['childprocess', 'https://nodejs.org/api/child_process.html'],
+  ['eventemitter', 'https://nodejs.org/api/events.html#events_class_eventemitter'],
+  ['record', 'https://www.typescriptlang.org/docs/handbook/utility-types.html#recordkeys-type'],
+]);
+
+/**
+ * @param {string} typeName - e.g. `string` or `Promise`.
+ * @return {?string} - documentation URL if the type is a JavaScript, DOM or Node.js built-in.
+ */
+export function builtinTypeURL(typeName) {
+  return BUILTIN_TYPE_URLS.get(typeName.toLowerCase()) || null;
+}
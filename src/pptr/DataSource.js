@@ -0,0 +1,390 @@
+/**
+ * Copyright 2018 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the 'License');
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an 'AS IS' BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import {APIExtractorDocumentation} from './APIExtractorDocumentation.js';
+
+/**
+ * Data source provides Puppeteer releases, README and api.md for every release.
+ * Releases are described the same way GitHub REST API does it:
+ * `{tag_name: string, body: string, published_at: string}`.
+ *
+ * Releases after 15.2.0 ship api-extractor documentation model instead
+ * of api.md; data sources translate it to api.md format.
+ */
+export class DataSource {
+  /**
+   * @param {?{type: string}} config
+   * @param {string=} githubToken
+   * @return {!DataSource}
+   */
+  static create(config, githubToken = '') {
+    config = config || {type: 'github'};
+    if (config.type === 'github')
+      return new GitHubDataSource(config.repository, githubToken, config.apiModelPath);
+    if (config.type === 'static')
+      return new StaticDataSource(config.url);
+    if (config.type === 'npm')
+      return new NPMDataSource(config.registry, config.package);
+    throw new Error('Unknown data source type: ' + config.type);
+  }
+
+  /**
+   * @return {!Promise<!Array<!{tag_name: string, body: string, published_at: string}>>}
+   */
+  async fetchReleases() {
+    return [];
+  }
+
+  /**
+   * @return {!Promise<string>}
+   */
+  async fetchReadme() {
+    return '';
+  }
+
+  /**
+   * @return {!Promise<string>} - troubleshooting guide, if the data source has one.
+   */
+  async fetchTroubleshooting() {
+    return '';
+  }
+
+  /**
+   * @param {string} tagName
+   * @param {string=} etag - ETag of the previously fetched api.md, if any.
+   * @return {!Promise<!{text: ?string, etag: string}>} - text is null if api.md was not modified.
+   */
+  async fetchAPIText(tagName, etag = '') {
+    return {text: '', etag: ''};
+  }
+}
+
+export class GitHubDataSource extends DataSource {
+  /**
+   * @param {string=} repository
+   * @param {string=} token - personal access token to raise API rate limit.
+   * @param {string=} apiModelPath - path of api-extractor documentation model in the repository.
+   */
+  constructor(repository = 'GoogleChrome/puppeteer', token = '', apiModelPath = 'docs/puppeteer.api.json') {
+    super();
+    this._repository = repository;
+    this._token = token;
+    this._apiModelPath = apiModelPath;
+    /** @type {?{limit: number, remaining: number, reset: number}} */
+    this._rateLimit = null;
+  }
+
+  /**
+   * @param {string} token
+   */
+  setToken(token) {
+    this._token = token;
+    // Limits are different for authenticated requests.
+    this._rateLimit = null;
+  }
+
+  /**
+   * @return {boolean}
+   */
+  hasToken() {
+    return !!this._token;
+  }
+
+  /**
+   * @return {?{limit: number, remaining: number, reset: number}} - rate limit as of the last API request, if any.
+   */
+  rateLimit() {
+    return this._rateLimit;
+  }
+
+  async fetchReleases() {
+    const releases = [];
+    let url = `https://api.github.com/repos/${this._repository}/releases?per_page=100`;
+    while (url) {
+      const response = await this._fetchAPI(url);
+      releases.push(...await response.json());
+      url = nextPageURL(response.headers.get('Link'));
+    }
+    return releases;
+  }
+
+  /**
+   * @param {string} url
+   * @return {!Promise<!Response>}
+   */
+  async _fetchAPI(url) {
+    if (this._rateLimit && !this._rateLimit.remaining && Date.now() < this._rateLimit.reset)
+      throw new Error(`GitHub API rate limit exceeded, try again at ${new Date(this._rateLimit.reset).toLocaleTimeString()}`);
+    const headers = this._token ? {Authorization: 'token ' + this._token} : {};
+    try {
+      const response = await fetchWithRetry(url, {headers});
+      this._updateRateLimit(response);
+      return response;
+    } catch (error) {
+      if (!error.response)
+        throw error;
+      this._updateRateLimit(error.response);
+      if (this._rateLimit && !this._rateLimit.remaining)
+        throw new Error(`GitHub API rate limit exceeded, try again at ${new Date(this._rateLimit.reset).toLocaleTimeString()}`);
+      throw error;
+    }
+  }
+
+  /**
+   * @param {!Response} response
+   */
+  _updateRateLimit(response) {
+    const limit = response.headers.get('X-RateLimit-Limit');
+    const remaining = response.headers.get('X-RateLimit-Remaining');
+    const reset = response.headers.get('X-RateLimit-Reset');
+    if (limit === null || remaining === null || reset === null)
+      return;
+    this._rateLimit = {
+      limit: parseInt(limit, 10),
+      remaining: parseInt(remaining, 10),
+      // Reset time is reported in seconds since epoch.
+      reset: parseInt(reset, 10) * 1000,
+    };
+  }
+
+  async fetchReadme() {
+    return fetchWithRetry(`https://raw.githubusercontent.com/${this._repository}/main/README.md`).then(r => r.text());
+  }
+
+  async fetchTroubleshooting() {
+    return fetchWithRetry(`https://raw.githubusercontent.com/${this._repository}/main/docs/troubleshooting.md`).then(r => r.text());
+  }
+
+  async fetchAPIText(tagName, etag = '') {
+    if (hasAPIModel(tagName))
+      return fetchAPIModelAsText(`https://raw.githubusercontent.com/${this._repository}/${tagName}/${this._apiModelPath}`, etag);
+    return fetchTextWithETag(`https://raw.githubusercontent.com/${this._repository}/${tagName}/docs/api.md`, etag);
+  }
+}
+
+/**
+ * Serves releases from a static directory that has the same layout
+ * as the releases folder consumed by build.js:
+ *
+ *   <url>/README.md
+ *   <url>/troubleshooting.md - optional
+ *   <url>/releases.json
+ *   <url>/<tag>/api.md
+ *   <url>/<tag>/api.json - api-extractor documentation model, for releases after 15.2.0
+ */
+export class StaticDataSource extends DataSource {
+  /**
+   * @param {string} url
+   */
+  constructor(url) {
+    super();
+    this._url = url.endsWith('/') ? url : url + '/';
+  }
+
+  async fetchReleases() {
+    return fetchWithRetry(this._url + 'releases.json').then(r => r.json());
+  }
+
+  async fetchReadme() {
+    return fetchWithRetry(this._url + 'README.md').then(r => r.text());
+  }
+
+  async fetchTroubleshooting() {
+    return fetchWithRetry(this._url + 'troubleshooting.md').then(r => r.text());
+  }
+
+  async fetchAPIText(tagName, etag = '') {
+    if (hasAPIModel(tagName))
+      return fetchAPIModelAsText(`${this._url}${tagName}/api.json`, etag);
+    return fetchTextWithETag(`${this._url}${tagName}/api.md`, etag);
+  }
+}
+
+/**
+ * Reads releases from npm registry; api.md is extracted from package tarballs.
+ */
+export class NPMDataSource extends DataSource {
+  /**
+   * @param {string=} registry
+   * @param {string=} packageName
+   */
+  constructor(registry = 'https://registry.npmjs.org', packageName = 'puppeteer') {
+    super();
+    this._packageURL = (registry.endsWith('/') ? registry : registry + '/') + packageName;
+    this._packumentPromise = null;
+  }
+
+  _packument() {
+    if (!this._packumentPromise)
+      this._packumentPromise = fetchWithRetry(this._packageURL).then(r => r.json()).catch(error => {
+        // Let next call try again.
+        this._packumentPromise = null;
+        throw error;
+      });
+    return this._packumentPromise;
+  }
+
+  async fetchReleases() {
+    const packument = await this._packument();
+    return Object.keys(packument.versions)
+      // Skip pre-releases, e.g. 1.0.0-rc.
+      .filter(version => /^\d+\.\d+\.\d+$/.test(version))
+      .map(version => ({
+        tag_name: 'v' + version,
+        body: '',
+        published_at: packument.time[version],
+      }));
+  }
+
+  async fetchReadme() {
+    const packument = await this._packument();
+    return packument.readme || '';
+  }
+
+  async fetchAPIText(tagName, etag = '') {
+    if (typeof DecompressionStream === 'undefined')
+      throw new Error('npm data source is not supported in this browser');
+    // Packages don't include documentation model.
+    if (hasAPIModel(tagName))
+      throw new Error(`Package ${tagName} does not include docs/api.md`);
+    const packument = await this._packument();
+    const versionInfo = packument.versions[tagName.substring(1)];
+    if (!versionInfo)
+      throw new Error(`Version ${tagName} is not published to npm`);
+    // Published tarballs never change, so their checksum serves as ETag.
+    if (etag && etag === versionInfo.dist.shasum)
+      return {text: null, etag};
+    const response = await fetchWithRetry(versionInfo.dist.tarball);
+    const tarball = await new Response(response.body.pipeThrough(new DecompressionStream('gzip'))).arrayBuffer();
+    const apiText = readTarEntry(new Uint8Array(tarball), 'package/docs/api.md');
+    if (apiText === null)
+      throw new Error(`Package ${tagName} does not include docs/api.md`);
+    return {text: apiText, etag: versionInfo.dist.shasum};
+  }
+}
+
+// Delays between attempts to fetch a resource.
+const RETRY_DELAYS = [1000, 2000, 4000];
+// Servers asking to come back later than this are not worth waiting for.
+const MAX_RETRY_AFTER = 60 * 1000;
+
+/**
+ * Retries network errors and server errors with exponential backoff,
+ * honoring `Retry-After` header. Resolves only with successful responses
+ * (including 304 Not Modified); errors carry failed response, if any.
+ *
+ * @param {string} url
+ * @param {!Object=} options
+ * @return {!Promise<!Response>}
+ */
+async function fetchWithRetry(url, options = {}) {
+  for (let attempt = 0; ; ++attempt) {
+    let response = null;
+    let error = null;
+    try {
+      response = await fetch(url, options);
+    } catch (e) {
+      error = e;
+    }
+    if (response && (response.ok || response.status === 304))
+      return response;
+    const retryAfter = response ? parseInt(response.headers.get('Retry-After'), 10) * 1000 : NaN;
+    // Exhausted rate limit doesn't recover until reset time.
+    const isRateLimitExceeded = response && response.headers.get('X-RateLimit-Remaining') === '0';
+    const isRetriable = !response || response.status >= 500 || response.status === 429 || !isNaN(retryAfter);
+    if (isRateLimitExceeded || !isRetriable || attempt >= RETRY_DELAYS.length || retryAfter > MAX_RETRY_AFTER) {
+      if (!error) {
+        error = new Error(`Failed to fetch ${url}: ${response.status} ${response.statusText}`);
+        error.response = response;
+      }
+      throw error;
+    }
+    await new Promise(resolve => setTimeout(resolve, isNaN(retryAfter) ? RETRY_DELAYS[attempt] : retryAfter));
+  }
+}
+
+/**
+ * @param {?string} linkHeader
+ * @return {?string}
+ */
+function nextPageURL(linkHeader) {
+  const match = (linkHeader || '').match(/<([^>]+)>;\s*rel="next"/);
+  return match ? match[1] : null;
+}
+
+/**
+ * ETag is sent only if it was exposed by the server before: custom headers
+ * require CORS preflight that not every server supports.
+ *
+ * @param {string} url
+ * @param {string} etag
+ * @return {!Promise<!{text: ?string, etag: string}>}
+ */
+async function fetchTextWithETag(url, etag) {
+  const response = await fetchWithRetry(url, etag ? {headers: {'If-None-Match': etag}} : {});
+  if (response.status === 304)
+    return {text: null, etag};
+  return {text: await response.text(), etag: response.headers.get('ETag') || ''};
+}
+
+/**
+ * @param {string} url
+ * @param {string} etag
+ * @return {!Promise<!{text: ?string, etag: string}>}
+ */
+async function fetchAPIModelAsText(url, etag) {
+  const response = await fetchTextWithETag(url, etag);
+  if (response.text === null)
+    return response;
+  return {text: APIExtractorDocumentation.toMarkdown(JSON.parse(response.text)), etag: response.etag};
+}
+
+/**
+ * api.md was replaced with api-extractor documentation model in 15.3.0.
+ *
+ * @param {string} tagName - e.g. `v15.3.0` or `puppeteer-v19.0.0`
+ * @return {boolean}
+ */
+function hasAPIModel(tagName) {
+  const match = tagName.match(/v(\d+)\.(\d+)\.\d+$/);
+  if (!match)
+    return false;
+  const [major, minor] = [parseInt(match[1], 10), parseInt(match[2], 10)];
+  return major > 15 || (major === 15 && minor > 2);
+}
+
+/**
+ * @param {!Uint8Array} tarball
+ * @param {string} fileName
+ * @return {?string}
+ */
+function readTarEntry(tarball, fileName) {
+  const decoder = new TextDecoder();
+  const readString = (from, length) => decoder.decode(tarball.subarray(from, from + length)).replace(/\0.*$/, '');
+  let offset = 0;
+  while (offset + 512 <= tarball.length) {
+    const name = readString(offset, 100);
+    // Archive ends with empty blocks.
+    if (!name)
+      break;
+    const size = parseInt(readString(offset + 124, 12).trim(), 8) || 0;
+    const prefix = readString(offset + 345, 155);
+    const fullName = prefix ? prefix + '/' + name : name;
+    if (fullName === fileName)
+      return decoder.decode(tarball.subarray(offset + 512, offset + 512 + size));
+    offset += 512 + Math.ceil(size / 512) * 512;
+  }
+  return null;
+}
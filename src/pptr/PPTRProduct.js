@@ -13,60 +13,149 @@
  * See the License for the specific language governing permissions and
  * limitations under the License.
  */
-import {Store as IDBStore, get as idbGet, set as idbSet} from '../third_party/idb-keyval.mjs';
-
 import {APIDocumentation, APISection, APIMethod, APIClass} from './APIDocumentation.js';
+import {APIDiff} from './APIDiff.js';
+import {DataSource, GitHubDataSource} from './DataSource.js';
+import {ReleaseStorage} from './ReleaseStorage.js';
+import {releaseNameFromTag} from './releaseTag.js';
 import {App} from '../ui/App.js';
 import {html} from '../ui/html.js';
 import {SearchComponent} from '../ui/SearchComponent.js';
+import {FullTextIndex} from '../ui/FullTextIndex.js';
 
-const LOCAL_STORAGE_KEY = 'pptr-api-data';
 const PRODUCT_NAME = 'Puppeteer';
-
-// See Firefox bug: https://bugzilla.mozilla.org/show_bug.cgi?id=781982
-// And pptr.dev bug: https://github.com/GoogleChromeLabs/pptr.dev/issues/3
-function isFirefoxPrivateBrowsingMode() {
-  if (!('MozAppearance' in document.documentElement.style))
-    return Promise.resolve(false);
-
-  const db = indexedDB.open('test');
-  return new Promise(resolve => {
-    db.onerror = resolve.bind(null, true);
-    db.onsuccess = resolve.bind(null, false);
-  });
-}
+// Generated by build.js; see generateReleaseBundle there.
+const RELEASE_BUNDLE_URL = './releases.json.gz';
+const RELEASE_BUNDLE_FORMAT_VERSION = 1;
+// api.md of published releases rarely changes, so it's re-validated infrequently.
+const API_REVALIDATION_INTERVAL = 7 * 24 * 60 * 60 * 1000 /* 1 week */;
+const GITHUB_TOKEN_KEY = 'pptr-github-token';
+const TROUBLESHOOTING_URL = 'https://github.com/GoogleChrome/puppeteer/blob/main/docs/troubleshooting.md';
+// Search engines show about as much of page description.
+const MAX_SUMMARY_LENGTH = 160;
 
 export class PPTRProduct extends App.Product {
-  static async fetchReleaseAndReadme(staleData) {
+  /**
+   * Fetches releases that are missing from staleData and re-validates those
+   * that weren't checked for a while. Names of the releases that have to be
+   * saved are reported with `changedReleaseNames` and `changedAPINames`.
+   * Failure to fetch README falls back to the stale one.
+   *
+   * @param {!DataSource} dataSource
+   * @param {?Object} staleData
+   */
+  static async fetchReleaseAndReadme(dataSource, staleData) {
     const fetchTimestamp = Date.now();
-    const [readmeText, releasesText, releasesText2] = await Promise.all([
-      fetch('https://raw.githubusercontent.com/GoogleChrome/puppeteer/main/README.md').then(r => r.text()),
-      // TODO: At some point this non-paginating approach won't work 
-      fetch('https://api.github.com/repos/GoogleChrome/puppeteer/releases?per_page=100').then(r => r.text()),
-      fetch('https://api.github.com/repos/GoogleChrome/puppeteer/releases?per_page=100&page=2').then(r => r.text()),
+    const [readmeText, githubReleases] = await Promise.all([
+      dataSource.fetchReadme().catch(error => {
+        console.error('Failed to fetch README: ' + error.message);
+        return staleData ? staleData.readmeText || '' : '';
+      }),
+      dataSource.fetchReleases(),
     ]);
-    const releases = [...JSON.parse(releasesText), ...JSON.parse(releasesText2)].map(release => ({
-      name: release.tag_name,
+    const releases = PPTRProduct._createReleases(githubReleases, staleData);
+    const staleReleases = new Map(staleData ? staleData.releases.map(release => [release.name, release]) : []);
+    const changedReleaseNames = new Set();
+    const changedAPINames = new Set();
+
+    // Download api.md for every release.
+    await Promise.all(releases.map(async release => {
+      const staleRelease = staleReleases.get(release.name);
+      if (!staleRelease || staleRelease.releaseNotes !== release.releaseNotes || staleRelease.chromiumVersion !== release.chromiumVersion)
+        changedReleaseNames.add(release.name);
+      // Without ETag there's no cheap way to tell if api.md has changed; tagged api.md hardly ever does.
+      const isFresh = fetchTimestamp - (release.apiFetchTimestamp || 0) < API_REVALIDATION_INTERVAL;
+      if (release.apiText && (isFresh || !release.etag))
+        return;
+      let response = null;
+      try {
+        response = await dataSource.fetchAPIText(release.tagName, release.apiText ? release.etag : '');
+      } catch (error) {
+        console.error(`Failed to fetch api.md for ${release.name}: ${error.message}`);
+        // Stale api.md is still better than nothing.
+        if (!release.apiText)
+          release.unavailable = true;
+        return;
+      }
+      const {text, etag} = response;
+      release.etag = etag;
+      release.apiFetchTimestamp = fetchTimestamp;
+      changedReleaseNames.add(release.name);
+      if (text !== null && text !== release.apiText) {
+        release.apiText = text;
+        release.classesOutline = parseClassesOutline(release.name, release.apiText);
+        changedAPINames.add(release.name);
+      }
+    }));
+    if (releases.every(release => release.unavailable))
+      throw new Error('Failed to fetch api.md for any release');
+    return {fetchTimestamp, readmeText, releases, changedReleaseNames, changedAPINames};
+  }
+
+  /**
+   * Loads releases prebuilt by build.js, if any.
+   * @return {!Promise<?{fetchTimestamp: number, readmeText: string, releases: !Array<!Object>}>}
+   */
+  static async fetchReleaseBundle() {
+    // Bundle is gzipped; browsers that can't decompress it fetch releases from network.
+    if (typeof DecompressionStream === 'undefined')
+      return null;
+    let bundle = null;
+    try {
+      const response = await fetch(RELEASE_BUNDLE_URL);
+      if (!response.ok)
+        return null;
+      bundle = await new Response(response.body.pipeThrough(new DecompressionStream('gzip'))).json();
+    } catch (e) {
+      return null;
+    }
+    if (bundle.formatVersion !== RELEASE_BUNDLE_FORMAT_VERSION)
+      return null;
+    const staleData = {
+      releases: bundle.releases.map(release => ({name: releaseNameFromTag(release.tag_name), apiText: bundle.apiTexts[release.apiTextIndex]})),
+    };
+    // Releases that are missing from the bundle will be downloaded later on.
+    const releases = PPTRProduct._createReleases(bundle.releases, staleData).filter(release => release.apiText);
+    if (!releases.length)
+      return null;
+    for (const release of releases) {
+      release.apiFetchTimestamp = bundle.fetchTimestamp;
+      release.classesOutline = parseClassesOutline(release.name, release.apiText);
+    }
+    const releaseNames = new Set(releases.map(release => release.name));
+    return {
+      fetchTimestamp: bundle.fetchTimestamp,
+      readmeText: bundle.readmeText,
+      releases,
+      changedReleaseNames: releaseNames,
+      changedAPINames: releaseNames,
+    };
+  }
+
+  /**
+   * @param {!Array<!{tag_name: string, body: string, published_at: string}>} githubReleases
+   * @param {?{releases: !Array<!{name: string, apiText: string}>}} staleData
+   * @return {!Array<!Object>}
+   */
+  static _createReleases(githubReleases, staleData) {
+    const releases = githubReleases.filter(release => !!releaseNameFromTag(release.tag_name)).map(release => ({
+      name: releaseNameFromTag(release.tag_name),
+      tagName: release.tag_name,
       releaseNotes: release.body,
       timestamp: (new Date(release.published_at)).getTime(),
       apiText: ''
-    }))
-      .filter(release => release.name.startsWith('v'))
-      .filter(release => {
-        const [major, minor, patch] = release.name.substring(1).split('.').map(e => parseInt(e, 10));
-        // api.md was deleted before 15.3.0 breaking this docs viewer.
-        if (major > 15) return false;
-        if (major === 15 && minor > 2) return false; 
-        return true;
-      });
+    }));
 
     // Add initial release - was published as a tag.
-    releases.push({
-      name: 'v0.9.0',
-      timestamp: (new Date('August 16, 2017')).getTime(),
-      releaseNotes: '',
-      apiText: '',
-    });
+    if (!releases.find(release => release.name === 'v0.9.0')) {
+      releases.push({
+        name: 'v0.9.0',
+        tagName: 'v0.9.0',
+        timestamp: (new Date('August 16, 2017')).getTime(),
+        releaseNotes: '',
+        apiText: '',
+      });
+    }
 
 
     // Initialize release priorities that define their sorting order.
@@ -79,9 +168,15 @@ export class PPTRProduct extends App.Product {
 
     // Fulfill api.md for every release using staleData, if any.
     if (staleData) {
-      const staleAPITexts = new Map(staleData.releases.map(release => [release.name, release.apiText]));
-      for (const release of releases)
-        release.apiText = staleAPITexts.get(release.name);
+      const staleReleases = new Map(staleData.releases.map(release => [release.name, release]));
+      for (const release of releases) {
+        const staleRelease = staleReleases.get(release.name);
+        if (!staleRelease)
+          continue;
+        release.apiText = staleRelease.apiText;
+        release.etag = staleRelease.etag || '';
+        release.apiFetchTimestamp = staleRelease.apiFetchTimestamp || 0;
+      }
     }
 
     // Fill predefined chromium versions for past releases:
@@ -121,51 +216,68 @@ export class PPTRProduct extends App.Product {
       else
         release.chromiumVersion = 'N/A'
     }
-
-    // Download api.md for every release.
-    await Promise.all(releases.map(async release => {
-      if (!release.apiText)
-        release.apiText = await fetch(`https://raw.githubusercontent.com/GoogleChrome/puppeteer/${release.name}/docs/api.md`).then(r => r.text())
-    }));
-    return {fetchTimestamp, readmeText, releases};
+    return releases;
   }
 
   static async create(productVersion) {
-    const store = new IDBStore('pptr-db', 'pptr-store')
-    const isFFPB = await isFirefoxPrivateBrowsingMode();
-    let data = await storageGet(LOCAL_STORAGE_KEY);
+    const storage = await ReleaseStorage.create();
+    const dataSource = DataSource.create(window.__PPTR_DATA_SOURCE__, localStorage.getItem(GITHUB_TOKEN_KEY) || '');
+    let data = await storage.load();
+    // Set when releases failed to download and cached ones are shown instead.
+    let isStale = false;
+    if (!data) {
+      data = await PPTRProduct.fetchReleaseBundle();
+      if (data)
+        await storage.save(data);
+    }
     const hasRequiredProductVersion = productVersion ? data && !!data.releases.find(release => release.name === productVersion) : true;
+    const hasCorruptedRecords = data && data.corruptedReleaseNames && data.corruptedReleaseNames.length;
 
-    if (!data || !hasRequiredProductVersion) {
-      const message = data ? 'Downloading Puppeteer release ' + productVersion : 'Please give us a few seconds to download Puppeteer releases for the first time.\n Next time we\'ll do it in background.';
+    if (!data || !hasRequiredProductVersion || hasCorruptedRecords) {
+      const message = data ? 'Downloading Puppeteer release ' + (hasRequiredProductVersion ? data.corruptedReleaseNames.join(', ') : productVersion) : 'Please give us a few seconds to download Puppeteer releases for the first time.\n Next time we\'ll do it in background.';
       app.setLoadingScreen(true, message);
-      data = await PPTRProduct.fetchReleaseAndReadme(data);
-      await storageSet(LOCAL_STORAGE_KEY, data);
+      data = await fetchUntilSucceeds(data);
       app.setLoadingScreen(false);
     } else if (Date.now() - data.fetchTimestamp > 5 * 60 * 1000 /* 5 minutes */) {
       // Kick off update process in the background.
-      PPTRProduct.fetchReleaseAndReadme(data).then(data => storageSet(LOCAL_STORAGE_KEY, data));
-    }
-    return new PPTRProduct(data.readmeText, data.releases, data.fetchTimestamp);
-
-    async function storageGet(key, data) {
-      if (isFFPB)
-        return JSON.parse(localStorage.getItem(key));
-      return idbGet(LOCAL_STORAGE_KEY, store);
+      PPTRProduct.fetchReleaseAndReadme(dataSource, data).then(data => storage.save(data)).catch(error => {
+        console.error('Failed to update Puppeteer releases: ' + error.message);
+      });
     }
+    return new PPTRProduct(dataSource, data.readmeText, data.releases, data.fetchTimestamp, isStale);
 
-    async function storageSet(key, value) {
-      if (isFFPB)
-        return localStorage.setItem(key, JSON.stringify(value));
-      return idbSet(LOCAL_STORAGE_KEY, value, store);
+    async function fetchUntilSucceeds(staleData) {
+      try {
+        const data = await PPTRProduct.fetchReleaseAndReadme(dataSource, staleData);
+        await storage.save(data);
+        return data;
+      } catch (error) {
+        console.error('Failed to fetch Puppeteer releases: ' + error.message);
+        // Cached releases are good enough if we have any.
+        if (staleData && staleData.releases.length) {
+          isStale = true;
+          return staleData;
+        }
+        await new Promise(resolve => {
+          app.setLoadingScreen(true, 'Failed to download Puppeteer releases: ' + error.message, resolve);
+        });
+        app.setLoadingScreen(true, 'Retrying to download Puppeteer releases...');
+        return fetchUntilSucceeds(staleData);
+      }
     }
   }
 
-  constructor(readmeText, releases, fetchTimestamp) {
+  constructor(dataSource, readmeText, releases, fetchTimestamp, isStale = false) {
     super();
+    this._isStale = isStale;
+    this._dataSource = dataSource;
     this._readmeText = readmeText;
-    this._releases = releases;
+    this._releases = releases.filter(release => !release.unavailable);
+    // Releases that failed to download.
+    this._unavailableReleases = releases.filter(release => release.unavailable);
     this._fetchTimestamp = fetchTimestamp;
+    this._allVersionsSearchItems = null;
+    this._troubleshootingSearchItemsPromise = null;
     this._initializeAPILifespan();
   }
 
@@ -176,7 +288,7 @@ export class PPTRProduct extends App.Product {
 
     return [
       iconButton('https://stackoverflow.com/questions/tagged/puppeteer', './images/stackoverflow.svg', 'pptr-stackoverflow'),
-      iconButton('https://github.com/GoogleChrome/puppeteer/blob/main/docs/troubleshooting.md', './images/wrench.svg', 'pptr-troubleshooting'),
+      iconButton(TROUBLESHOOTING_URL, './images/wrench.svg', 'pptr-troubleshooting'),
       iconButton('https://github.com/GoogleChrome/puppeteer', './images/github.png', 'pptr-github'),
     ];
 
@@ -184,51 +296,8 @@ export class PPTRProduct extends App.Product {
 
   _initializeAPILifespan() {
     // Compute "since" and "until" versions for API entities.
-    const classRegex = /### class:\s+(\w+)\s*$/;
-    const eventRegex = /#### event:\s+'(\w+)'\s*$/;
-    const methodRegex = /#### \w+\.([\w$]+)\(/;
-    const nsRegex = /#### \w+\.(\w+)\s*$/;
-
-    for (const release of this._releases) {
-      release.classesLifespan = new Map();
-      let classOutline = null;
-      const titles = release.apiText.split('\n').filter(line => line.startsWith('###'));
-      for (const title of titles) {
-        // Handle classes
-        if (classRegex.test(title)) {
-          if (classOutline)
-            release.classesLifespan.set(classOutline.name, classOutline);
-          const className = title.match(classRegex)[1];
-          classOutline = {
-            name: className,
-            since: release.name,
-            until: '',
-            // Maps of name -> first introduced version
-            eventsSince: new Map(),
-            methodsSince: new Map(),
-            namespacesSince: new Map(),
-            // Maps of name -> first removed version
-            eventsUntil: new Map(),
-            methodsUntil: new Map(),
-            namespacesUntil: new Map(),
-          };
-        } else if (eventRegex.test(title)) {
-          console.assert(classOutline);
-          const eventName = title.match(eventRegex)[1];
-          classOutline.eventsSince.set(eventName, release.name);
-        } else if (methodRegex.test(title)) {
-          console.assert(classOutline);
-          const methodName = title.match(methodRegex)[1];
-          classOutline.methodsSince.set(methodName, release.name);
-        } else if (nsRegex.test(title)) {
-          console.assert(classOutline);
-          const nsName = title.match(nsRegex)[1];
-          classOutline.namespacesSince.set(nsName, release.name);
-        }
-      }
-      if (classOutline)
-        release.classesLifespan.set(classOutline.name, classOutline);
-    }
+    for (const release of this._releases)
+      release.classesLifespan = release.classesOutline || parseClassesOutline(release.name, release.apiText);
 
     // Compute "since" for classes, methods, namespaces and events.
     for (let i = this._releases.length - 2; i >= 0; --i) {
@@ -247,6 +316,18 @@ export class PPTRProduct extends App.Product {
           if (classOutline.methodsSince.has(methodName))
             classOutline.methodsSince.set(methodName, since);
         }
+        for (const [methodName, history] of previousClassOutline.methodsSignatures) {
+          const signatures = classOutline.methodsSignatures.get(methodName);
+          if (!signatures)
+            continue;
+          const [current] = signatures;
+          const previous = history[history.length - 1];
+          // Histories are shared between releases unless the signature has changed.
+          if (APIDocumentation.isSameMethodSignature(previous.signature, current.signature))
+            classOutline.methodsSignatures.set(methodName, history);
+          else
+            classOutline.methodsSignatures.set(methodName, [...history, current]);
+        }
         for (const [namespaceName, since] of previousClassOutline.namespacesSince) {
           if (classOutline.namespacesSince.has(namespaceName))
             classOutline.namespacesSince.set(namespaceName, since);
@@ -304,15 +385,79 @@ export class PPTRProduct extends App.Product {
     return this._releases.map(release => release.name);
   }
 
+  allVersionsSearchItems() {
+    if (!this._allVersionsSearchItems)
+      this._allVersionsSearchItems = createAllVersionsSearchItems(this._releases);
+    return this._allVersionsSearchItems;
+  }
+
   /**
-   * @return {!Array<!{name: string, description: string}>}
+   * @param {function():?PPTRVersion} currentVersion
+   * @return {!Array<!SearchComponent.Provider>}
+   */
+  searchProviders(currentVersion) {
+    return [
+      new SearchComponent.Provider('README', () => currentVersion() ? currentVersion().readmeSearchItems() : []),
+      new SearchComponent.Provider('Release Notes', () => currentVersion() ? currentVersion().releaseNotesSearchItems() : []),
+      new SearchComponent.Provider('Troubleshooting', () => this._troubleshootingSearchItems()),
+    ];
+  }
+
+  /**
+   * Troubleshooting guide is downloaded when it's first searched.
+   *
+   * @return {!Promise<!Array<!SearchComponent.Item>>}
+   */
+  _troubleshootingSearchItems() {
+    if (!this._troubleshootingSearchItemsPromise) {
+      this._troubleshootingSearchItemsPromise = this._dataSource.fetchTroubleshooting().then(text => {
+        return headingSections(APIDocumentation.markdownToDOM(text)).map(section => {
+          const url = TROUBLESHOOTING_URL + '#' + section.anchor;
+          return new PPTRDocSearchItem(url, section, 'pptr-doc-icon', 'Troubleshooting', 'docs');
+        });
+      }).catch(error => {
+        // Not worth retrying on every keystroke.
+        console.error('Failed to fetch troubleshooting guide: ' + error.message);
+        return [];
+      });
+    }
+    return this._troubleshootingSearchItemsPromise;
+  }
+
+  /**
+   * @param {?PPTRVersion} version
+   * @return {!Array<!SearchComponent.Command>}
+   */
+  commands(version) {
+    const commands = [
+      new SearchComponent.Command('Clear cache and reload', async () => {
+        const storage = await ReleaseStorage.create();
+        await storage.clear();
+        window.location.reload();
+      }, 'Downloads Puppeteer releases again'),
+    ];
+    const release = version ? this.release(version.name()) : null;
+    if (!release)
+      return commands;
+    const linkCommand = (title, url) => new SearchComponent.Command(title, () => app.navigateURL(url), `${PRODUCT_NAME} ${release.name}`);
+    commands.push(linkCommand('Open outline', app.linkURL(PRODUCT_NAME, release.name, 'outline')));
+    if (release.releaseNotes)
+      commands.push(linkCommand('Open release notes', app.linkURL(PRODUCT_NAME, release.name, APIDocumentation.entryContentId('section', '', 'Release Notes'))));
+    commands.push(linkCommand('Go to GitHub source', `https://github.com/GoogleChrome/puppeteer/tree/${release.tagName}`));
+    return commands;
+  }
+
+  /**
+   * @return {!Array<!{name: string, description: string, date: ?Date, unavailable: boolean}>}
    */
   versionDescriptions() {
-    const descriptions = this._releases.map(release => {
+    const releases = [...this._releases, ...this._unavailableReleases].sort((a, b) => b.priority - a.priority);
+    const descriptions = releases.map(release => {
       return {
         name: release.name,
-        description: release.chromiumVersion,
+        description: release.unavailable ? 'Failed to download' : release.chromiumVersion,
         date: release.timestamp ? new Date(release.timestamp) : null,
+        unavailable: !!release.unavailable,
       };
     });
     return descriptions;
@@ -331,7 +476,48 @@ export class PPTRProduct extends App.Product {
       time = `${Math.round(diff / 60 / 60 / 1000)} hours ago`;
     else if (24 * 60 * 60 * 1000 <= diff)
       time = `${Math.round(diff / 24 / 60 / 60 / 1000)} days ago`;
-    return html`<pptr-settings-footer>Data fetched ${time}</pptr-settings-footer>`;
+    if (!(this._dataSource instanceof GitHubDataSource))
+      return html`<pptr-settings-footer>Data fetched ${time}</pptr-settings-footer>`;
+
+    const footer = html`
+      <pptr-settings-footer>
+        <div>Data fetched ${time}</div>
+        <pptr-rate-limit>${this._rateLimitStatus()}</pptr-rate-limit>
+        <label>
+          GitHub token
+          <input type=password autocomplete=off spellcheck=false placeholder='raises API rate limit' value=${localStorage.getItem(GITHUB_TOKEN_KEY) || ''}></input>
+        </label>
+      </pptr-settings-footer>
+    `;
+    const tokenInput = footer.$('input');
+    tokenInput.addEventListener('change', () => {
+      const token = tokenInput.value.trim();
+      if (token)
+        localStorage.setItem(GITHUB_TOKEN_KEY, token);
+      else
+        localStorage.removeItem(GITHUB_TOKEN_KEY);
+      this._dataSource.setToken(token);
+      footer.$('pptr-rate-limit').textContent = this._rateLimitStatus();
+    }, false);
+    return footer;
+  }
+
+  _rateLimitStatus() {
+    const authentication = this._dataSource.hasToken() ? 'authenticated' : 'unauthenticated';
+    const rateLimit = this._dataSource.rateLimit();
+    if (!rateLimit)
+      return `GitHub API: ${authentication}, no requests made yet`;
+    let status = `GitHub API: ${authentication}, ${rateLimit.remaining}/${rateLimit.limit} requests left`;
+    if (!rateLimit.remaining)
+      status += `, resets at ${new Date(rateLimit.reset).toLocaleTimeString()}`;
+    return status;
+  }
+
+  versionNotFoundMessage(versionName) {
+    if (!this._isStale)
+      return super.versionNotFoundMessage(versionName);
+    const date = new Date(this._fetchTimestamp).toLocaleDateString();
+    return `Version ${versionName} is not found in Puppeteer releases downloaded on ${date}. Failed to download fresh releases; reload the page to try again.`;
   }
 
   create404(title = '') {
@@ -351,13 +537,158 @@ export class PPTRProduct extends App.Product {
     const release = this._releases.find(release => release.name === name);
     if (!release)
       return null;
-    return new PPTRVersion(this._readmeText, release);
+    return new PPTRVersion(this, this._readmeText, release);
+  }
+
+  /**
+   * @return {!Array<!Object>} - available releases, sorted from newest to oldest.
+   */
+  releases() {
+    return this._releases;
+  }
+
+  /**
+   * @param {string} name
+   * @return {?Object}
+   */
+  release(name) {
+    return this._releases.find(release => release.name === name) || null;
+  }
+
+  /**
+   * @param {string} name
+   * @return {?Object}
+   */
+  previousRelease(name) {
+    const index = this._releases.findIndex(release => release.name === name);
+    if (index === -1 || index + 1 >= this._releases.length)
+      return null;
+    return this._releases[index + 1];
   }
 }
 
+/**
+ * @param {!Element} element
+ * @return {string} - first paragraph with text, shortened to fit page description.
+ */
+function summaryText(element) {
+  for (const paragraph of element.querySelectorAll('p')) {
+    const text = paragraph.textContent.replace(/\s+/g, ' ').trim();
+    if (!text)
+      continue;
+    return text.length > MAX_SUMMARY_LENGTH ? text.substring(0, MAX_SUMMARY_LENGTH - 1) + '\u2026' : text;
+  }
+  return '';
+}
+
+/**
+ * @param {!Object} release
+ * @param {!{className: string, memberName: string, isEvent: boolean}} symbol
+ * @return {?{since: string, until: string}} - null if the release doesn't have the entry.
+ */
+function symbolLifespan(release, symbol) {
+  const classOutline = release.classesLifespan.get(symbol.className);
+  if (!classOutline)
+    return null;
+  const {memberName} = symbol;
+  if (!memberName)
+    return {since: classOutline.since, until: classOutline.until};
+  if (symbol.isEvent) {
+    if (!classOutline.eventsSince.has(memberName))
+      return null;
+    return {since: classOutline.eventsSince.get(memberName), until: classOutline.eventsUntil.get(memberName) || ''};
+  }
+  if (classOutline.methodsSince.has(memberName))
+    return {since: classOutline.methodsSince.get(memberName), until: classOutline.methodsUntil.get(memberName) || ''};
+  if (classOutline.namespacesSince.has(memberName))
+    return {since: classOutline.namespacesSince.get(memberName), until: classOutline.namespacesUntil.get(memberName) || ''};
+  return null;
+}
+
+/**
+ * Parses classes with their events, methods and namespaces from api.md.
+ * Lifespans of the returned outline are relative to this very release;
+ * they get adjusted against other releases by _initializeAPILifespan.
+ *
+ * @param {string} releaseName
+ * @param {string} apiText
+ * @return {!Map<string, !Object>}
+ */
+function parseClassesOutline(releaseName, apiText) {
+  const classRegex = /### class:\s+(\w+)\s*$/;
+  const eventRegex = /#### event:\s+'(\w+)'\s*$/;
+  const methodRegex = /#### \w+\.([\w$]+)\(/;
+  const nsRegex = /#### \w+\.(\w+)\s*$/;
+  // Matches what isDeprecatedEntry looks for in rendered documentation.
+  const deprecationRegex = /\*\*[^*]*\bdeprecated\b[^*]*\*\*/i;
+
+  const classesOutline = new Map();
+  let classOutline = null;
+  // Symbol id of the entry that the current line belongs to.
+  let symbol = '';
+  const lines = apiText.split('\n');
+  for (let lineIndex = 0; lineIndex < lines.length; ++lineIndex) {
+    const title = lines[lineIndex];
+    if (!title.startsWith('#')) {
+      if (symbol && deprecationRegex.test(title))
+        classOutline.deprecatedSymbols.add(symbol);
+      continue;
+    }
+    symbol = '';
+    if (!title.startsWith('###'))
+      continue;
+    // Handle classes
+    if (classRegex.test(title)) {
+      if (classOutline)
+        classesOutline.set(classOutline.name, classOutline);
+      const className = title.match(classRegex)[1];
+      symbol = APIDocumentation.symbolId('class', className, className);
+      classOutline = {
+        name: className,
+        since: releaseName,
+        until: '',
+        // Maps of name -> first introduced version
+        eventsSince: new Map(),
+        methodsSince: new Map(),
+        namespacesSince: new Map(),
+        // Maps of name -> first removed version
+        eventsUntil: new Map(),
+        methodsUntil: new Map(),
+        namespacesUntil: new Map(),
+        // Map of name -> list of distinct signatures, oldest first
+        methodsSignatures: new Map(),
+        // Symbol ids of the class and its members that are deprecated in this release
+        deprecatedSymbols: new Set(),
+      };
+    } else if (eventRegex.test(title)) {
+      console.assert(classOutline);
+      const eventName = title.match(eventRegex)[1];
+      classOutline.eventsSince.set(eventName, releaseName);
+      symbol = APIDocumentation.symbolId('event', classOutline.name, eventName);
+    } else if (methodRegex.test(title)) {
+      console.assert(classOutline);
+      const methodName = title.match(methodRegex)[1];
+      classOutline.methodsSince.set(methodName, releaseName);
+      classOutline.methodsSignatures.set(methodName, [{version: releaseName, signature: APIDocumentation.parseMethodSignature(lines, lineIndex)}]);
+      symbol = APIDocumentation.symbolId('method', classOutline.name, methodName);
+    } else if (nsRegex.test(title)) {
+      console.assert(classOutline);
+      const nsName = title.match(nsRegex)[1];
+      classOutline.namespacesSince.set(nsName, releaseName);
+      symbol = APIDocumentation.symbolId('namespace', classOutline.name, nsName);
+    }
+  }
+  if (classOutline)
+    classesOutline.set(classOutline.name, classOutline);
+  return classesOutline;
+}
+
 class PPTRVersion extends App.ProductVersion {
-  constructor(readmeText, {name, releaseNotes, apiText, classesLifespan}) {
+  constructor(product, readmeText, release) {
     super();
+    const {name, releaseNotes, apiText, classesLifespan} = release;
+    this._product = product;
+    this._release = release;
     this._name = name;
     this._readmeText = readmeText;
 
@@ -367,7 +698,20 @@ class PPTRVersion extends App.ProductVersion {
     this._entryToSidebarElement = new Map();
     this._initializeSidebarElements();
 
+    this._readmeSearchItems = null;
+    this._releaseNotesSearchItems = null;
     this._searchItems = [];
+    for (const apiSection of this.api.sections) {
+      this._searchItems.push(PPTRSearchItem.createForSection(apiSection));
+      // Release notes have a search provider of their own.
+      if (apiSection.name === 'Release Notes')
+        continue;
+      // The first heading is the section title.
+      for (const section of headingSections(apiSection.element).slice(1)) {
+        const url = app.linkURL(PRODUCT_NAME, this._name, apiSection.contentId, {heading: section.anchor});
+        this._searchItems.push(new PPTRDocSearchItem(url, section, 'pptr-section-icon', apiSection.name, 'docs'));
+      }
+    }
     for (const apiClass of this.api.classes) {
       this._searchItems.push(PPTRSearchItem.createForClass(apiClass));
       for (const apiEvent of apiClass.events)
@@ -377,7 +721,6 @@ class PPTRVersion extends App.ProductVersion {
       for (const apiMethod of apiClass.methods)
         this._searchItems.push(PPTRSearchItem.createForMethod(apiMethod));
     }
-
   }
 
   name() {
@@ -388,6 +731,36 @@ class PPTRVersion extends App.ProductVersion {
     return this._searchItems;
   }
 
+  /**
+   * @return {!Array<!SearchComponent.Item>}
+   */
+  readmeSearchItems() {
+    if (!this._readmeSearchItems) {
+      this._readmeSearchItems = headingSections(APIDocumentation.markdownToDOM(this._readmeText)).map(section => {
+        const url = app.linkURL(PRODUCT_NAME, this._name, '', {heading: section.anchor});
+        return new PPTRDocSearchItem(url, section, 'pptr-doc-icon', 'README', 'docs');
+      });
+    }
+    return this._readmeSearchItems;
+  }
+
+  /**
+   * @return {!Array<!SearchComponent.Item>}
+   */
+  releaseNotesSearchItems() {
+    if (!this._releaseNotesSearchItems) {
+      const releaseNotes = this.api.sections.find(section => section.name === 'Release Notes');
+      const subtitle = `${PRODUCT_NAME} ${this._name} Release Notes`;
+      // The first heading is the section title.
+      const sections = releaseNotes ? headingSections(releaseNotes.element).slice(1) : [];
+      this._releaseNotesSearchItems = sections.map(section => {
+        const url = app.linkURL(PRODUCT_NAME, this._name, releaseNotes.contentId, {heading: section.anchor});
+        return new PPTRDocSearchItem(url, section, 'pptr-release-icon', subtitle, 'release-notes');
+      });
+    }
+    return this._releaseNotesSearchItems;
+  }
+
   sidebarElements() {
     return this._sidebarElements;
   }
@@ -401,31 +774,38 @@ class PPTRVersion extends App.ProductVersion {
       const element = html`
         <pptr-api class=pptr-readme>
           <content-box>
-            ${Array.from(APIDocumentation.markdownToDOM(this._readmeText).childNodes)}
+            ${this._readmeText ? Array.from(APIDocumentation.markdownToDOM(this._readmeText).childNodes) : html`<p>Failed to download README.</p>`}
           </content-box>
         </pptr-api>
       `;
       // Move logo to the very beginning - it will look better.
+      const contentBox = element.querySelector('content-box');
       const logo = element.querySelector('img[align=right]');
       if (logo) {
         logo.remove();
-        const contentBox = element.querySelector('content-box');
         contentBox.insertBefore(logo, contentBox.firstChild);
       }
-      return { element, title: '' };
+      const description = summaryText(contentBox);
+      return { element, title: '', scrollAnchor: findHeading(contentBox, App.urlParameter('heading')), contentId: '', description };
     }
     if (contentId === 'outline') {
       const element = html`<pptr-api>${this.api.createOutline()}</pptr-api>`;
-      return { element, title: '', selectedSidebarElement: this._outlineItem };
+      return { element, title: '', selectedSidebarElement: this._outlineItem, contentId };
+    }
+    if (contentId === 'diff') {
+      const fromRelease = this._product.release(App.urlParameter('from'));
+      const element = this._showDiff(fromRelease);
+      const title = fromRelease ? `${fromRelease.name} \u2192 ${this._name}` : '';
+      return { element, title, selectedSidebarElement: this._diffItem, contentId };
     }
     const entry = this.api.idToEntry(contentId);
     if (!entry)
-      return null;
+      return this._missingEntryContent(contentId);
     if (entry instanceof APIClass) {
       const element = this._showAPIClass(entry);
       const title = entry.name;
       const selectedSidebarElement = this._entryToSidebarElement.get(entry);
-      return {element, title, selectedSidebarElement};
+      return {element, title, selectedSidebarElement, contentId: entry.contentId, description: summaryText(entry.element)};
     }
     if (entry instanceof APISection) {
       const element = html`
@@ -434,20 +814,77 @@ class PPTRVersion extends App.ProductVersion {
         </pptr-api>
       `;
       const selectedSidebarElement = this._entryToSidebarElement.get(entry);
-      return {element, title: '', selectedSidebarElement};
+      const scrollAnchor = findHeading(entry.element, App.urlParameter('heading'));
+      return {element, title: '', selectedSidebarElement, scrollAnchor, contentId: entry.contentId, description: summaryText(entry.element)};
     }
     const element = this._showAPIClass(entry.apiClass);
     const scrollAnchor = this._scrollAnchor(entry.element);
     const title = entry.apiClass.loweredName + '.' + entry.name;
     const selectedSidebarElement = this._entryToSidebarElement.get(entry.apiClass);
-    return {element, title, selectedSidebarElement, scrollAnchor};
+    return {element, title, selectedSidebarElement, scrollAnchor, contentId: entry.contentId, description: summaryText(entry.element)};
+  }
+
+  /**
+   * Entries that are missing in this version, e.g. after switching versions, fall back
+   * to a page telling when the entry was added or removed, or to its class.
+   *
+   * @param {string} contentId
+   * @return {?{title: string, element: !Node, selectedSidebarElement: ?Element, contentId: string}}
+   */
+  _missingEntryContent(contentId) {
+    const symbol = APIDocumentation.parseSymbol(contentId);
+    if (!symbol)
+      return null;
+    const apiClass = symbol.memberName ? this.api.idToEntry(symbol.className) : null;
+    const releases = this._product.releases();
+    // Looked up by name: this version may outlive its release object, e.g. when releases are refreshed.
+    const releaseIndex = releases.findIndex(release => release.name === this._name);
+    if (releaseIndex === -1)
+      return apiClass ? this.content(apiClass.contentId) : null;
+    // Closest releases that have the entry.
+    let newerRelease = null;
+    for (let i = releaseIndex - 1; i >= 0 && !newerRelease; --i) {
+      if (symbolLifespan(releases[i], symbol))
+        newerRelease = releases[i];
+    }
+    let olderRelease = null;
+    for (let i = releaseIndex + 1; i < releases.length && !olderRelease; ++i) {
+      if (symbolLifespan(releases[i], symbol))
+        olderRelease = releases[i];
+    }
+    if (!newerRelease && !olderRelease)
+      return apiClass ? this.content(apiClass.contentId) : null;
+
+    const entryLink = release => html`<a href=${app.linkURL(PRODUCT_NAME, release.name, symbol.contentId)}>${release.name}</a>`;
+    const element = html`
+      <pptr-api class=pptr-not-found>
+        <content-box>
+          <h1>${symbol.symbolId}</h1>
+          <p>Not available in ${PRODUCT_NAME} ${this._name}.</p>
+          ${olderRelease ? html`
+            <p>Removed in ${symbolLifespan(olderRelease, symbol).until}; last available in ${entryLink(olderRelease)}.</p>
+          ` : ''}
+          ${newerRelease ? html`
+            <p>Added in ${entryLink(newerRelease)}.</p>
+          ` : ''}
+          ${apiClass ? html`
+            <p>See <a href=${apiClass.linkURL()}>class: ${apiClass.name}</a> in ${this._name}.</p>
+          ` : ''}
+        </content-box>
+      </pptr-api>
+    `;
+    const selectedSidebarElement = apiClass ? this._entryToSidebarElement.get(apiClass) : null;
+    return {element, title: symbol.symbolId, selectedSidebarElement, contentId: symbol.contentId};
   }
 
   _initializeSidebarElements() {
     this._outlineItem = html`<a class=pptr-sidebar-item href=${app.linkURL(PRODUCT_NAME, this.api.version, 'outline')}>Outline</a>`;
+    const previousRelease = this._product.previousRelease(this._name);
+    this._diffItem = html`<a class=pptr-sidebar-item href=${this._diffLinkURL(previousRelease ? previousRelease.name : '')}>Changes</a>`;
     this._sidebarElements = [
       html`<pptr-sidebar-divider>API</pptr-sidebar-divider>`,
       this._outlineItem,
+      this._diffItem,
       ...this.api.sections.map(section => {
         const item = html`<a class=pptr-sidebar-item href=${section.linkURL()}>${section.name}</a>`;
         this._entryToSidebarElement.set(section, item);
@@ -487,6 +924,97 @@ class PPTRVersion extends App.ProductVersion {
     `;
   }
 
+  _diffLinkURL(fromVersionName) {
+    return app.linkURL(PRODUCT_NAME, this._name, 'diff', fromVersionName ? {from: fromVersionName} : {});
+  }
+
+  _showDiff(fromRelease) {
+    const versionSelect = html`
+      <select>
+        <option value='' disabled selected=${!fromRelease}>Select version</option>
+        ${this._product.versionNames().filter(name => name !== this._name).map(name => html`
+          <option value=${name} selected=${fromRelease && fromRelease.name === name}>${name}</option>
+        `)}
+      </select>
+    `;
+    versionSelect.addEventListener('change', () => {
+      app.navigateURL(this._diffLinkURL(versionSelect.value));
+    }, false);
+
+    const header = html`
+      <pptr-diff-header>
+        <h2>Changes in Puppeteer ${this._name}</h2>
+        <label>Compared to ${versionSelect}</label>
+      </pptr-diff-header>
+    `;
+    if (!fromRelease) {
+      return html`
+        <pptr-api>
+          <content-box>${header}</content-box>
+        </pptr-api>
+      `;
+    }
+
+    const diff = APIDiff.create(fromRelease, this._release);
+    const renderEntryTitle = (diffEntry, linked) => {
+      const icon = document.createElement(`pptr-${diffEntry.kind === 'namespace' ? 'ns' : diffEntry.kind}-icon`);
+      const entry = linked ? this._findEntry(diffEntry) : null;
+      const title = entry ? html`<a href=${entry.linkURL()}>${diffEntry.title}</a>` : diffEntry.title;
+      return html`<pptr-diff-entry-title>${icon}${title}</pptr-diff-entry-title>`;
+    };
+    const renderDescription = text => {
+      return html`<pptr-diff-description>${Array.from(APIDocumentation.markdownToDOM(text).childNodes)}</pptr-diff-description>`;
+    };
+    // Descriptions are rendered lazily since there might be hundreds of them.
+    const renderLazily = (summary, render) => {
+      const details = html`<details><summary>${summary}</summary></details>`;
+      details.addEventListener('toggle', () => {
+        if (details.open && details.children.length === 1)
+          details.appendChild(render());
+      }, false);
+      return details;
+    };
+    const render = (title, items, renderItem) => {
+      if (!items.length)
+        return '';
+      return html`
+        <h3>${title} <pptr-diff-count>${items.length}</pptr-diff-count></h3>
+        <ul class=pptr-diff-list>${items.map(item => html`<li>${renderItem(item)}</li>`)}</ul>
+      `;
+    };
+
+    return html`
+      <pptr-api>
+        <content-box>
+          ${header}
+          ${diff.isEmpty() ? html`<p>No API changes between ${diff.fromVersion} and ${diff.toVersion}.</p>` : ''}
+          ${render('Added', diff.added, entry => renderEntryTitle(entry, true))}
+          ${render('Removed', diff.removed, entry => renderLazily(renderEntryTitle(entry, false), () => renderDescription(entry.text)))}
+          ${render('Changed', diff.changed, ({from, to}) => renderLazily(renderEntryTitle(to, true), () => html`
+            <pptr-diff-side-by-side>
+              <pptr-diff-side>
+                <pptr-diff-side-title>${diff.fromVersion}</pptr-diff-side-title>
+                ${renderDescription(from.text)}
+              </pptr-diff-side>
+              <pptr-diff-side>
+                <pptr-diff-side-title>${diff.toVersion}</pptr-diff-side-title>
+                ${renderDescription(to.text)}
+              </pptr-diff-side>
+            </pptr-diff-side-by-side>
+          `))}
+        </content-box>
+      </pptr-api>
+    `;
+  }
+
+  /**
+   * @param {{symbol: string}} diffEntry
+   * @return {?APIEntry}
+   */
+  _findEntry(diffEntry) {
+    return this.api.idToEntry(diffEntry.symbol);
+  }
+
   _scrollAnchor(entryElement) {
     if (entryElement.previousSibling && entryElement.previousSibling.tagName === 'CONTENT-DELIMETER')
       return entryElement.previousSibling;
@@ -497,6 +1025,161 @@ class PPTRVersion extends App.ProductVersion {
   }
 }
 
+/**
+ * Creates a search item for every entry of every release, based on lifespans
+ * so that no documentation has to be rendered. Items link to the latest
+ * release that has the entry.
+ *
+ * @param {!Array<!Object>} releases - sorted from newest to oldest.
+ * @return {!Array<!PPTRVersionRangeSearchItem>}
+ */
+function createAllVersionsSearchItems(releases) {
+  const latestVersion = releases.length ? releases[0].name : '';
+  const entries = new Map();
+  // Deprecation is taken from the same release as the rest of the entry.
+  const addEntry = (entry, outline) => {
+    const symbol = APIDocumentation.symbolId(entry.kind, entry.className, entry.name);
+    if (!entries.has(symbol))
+      entries.set(symbol, Object.assign(entry, {deprecated: outline.deprecatedSymbols.has(symbol)}));
+  };
+  for (const release of releases) {
+    const version = release.name;
+    for (const [className, outline] of release.classesLifespan) {
+      const loweredName = APIClass.lowerName(className);
+      addEntry({version, since: outline.since, until: outline.until, kind: 'class', className, loweredName, name: className, args: ''}, outline);
+      for (const [name, since] of outline.eventsSince)
+        addEntry({version, since, until: outline.eventsUntil.get(name) || '', kind: 'event', className, loweredName, name, args: ''}, outline);
+      for (const [name, since] of outline.namespacesSince)
+        addEntry({version, since, until: outline.namespacesUntil.get(name) || '', kind: 'namespace', className, loweredName, name, args: ''}, outline);
+      for (const [name, since] of outline.methodsSince) {
+        const signatures = outline.methodsSignatures.get(name) || [];
+        const args = signatures.length ? signatures[signatures.length - 1].signature.args : '';
+        addEntry({version, since, until: outline.methodsUntil.get(name) || '', kind: 'method', className, loweredName, name, args}, outline);
+      }
+    }
+  }
+  const items = Array.from(entries.values()).map(entry => PPTRVersionRangeSearchItem.create(entry, latestVersion));
+  // Release notes are searchable with `@all in:release-notes`.
+  for (const release of releases) {
+    if (release.releaseNotes)
+      items.push(PPTRVersionRangeSearchItem.createForReleaseNotes(release));
+  }
+  return items;
+}
+
+/**
+ * Search item for an entry across all versions.
+ */
+class PPTRVersionRangeSearchItem extends SearchComponent.Item {
+  /**
+   * @param {!{version: string, since: string, until: string, kind: string, className: string, loweredName: string, name: string, args: string, deprecated: boolean}} entry
+   * @param {string} latestVersion
+   * @return {!PPTRVersionRangeSearchItem}
+   */
+  static create(entry, latestVersion) {
+    const {version, since, until, kind, className, loweredName, name, args, deprecated} = entry;
+    let text = '';
+    let tokens = [];
+    let iconTagName = '';
+    if (kind === 'class') {
+      text = className;
+      tokens = [{text: className, tagName: 'search-item-api-method-name'}];
+      iconTagName = 'pptr-class-icon';
+    } else if (kind === 'event') {
+      text = `${loweredName}.on('${name}')`;
+      tokens = [
+        {text: loweredName + '.on(', tagName: 'search-item-api-method-class'},
+        {text: `'${name}'`, tagName: 'search-item-api-method-name'},
+        {text: ')', tagName: 'search-item-api-method-class'},
+      ];
+      iconTagName = 'pptr-event-icon';
+    } else if (kind === 'namespace') {
+      text = `${loweredName}.${name}`;
+      tokens = [
+        {text: loweredName + '.', tagName: 'search-item-api-method-class'},
+        {text: name, tagName: 'search-item-api-method-name'},
+      ];
+      iconTagName = 'pptr-ns-icon';
+    } else {
+      text = `${loweredName}.${name}(${args})`;
+      tokens = [
+        {text: loweredName + '.', tagName: 'search-item-api-method-class'},
+        {text: `${name}(${args})`, tagName: 'search-item-api-method-name'},
+      ];
+      iconTagName = 'pptr-method-icon';
+    }
+    let versionRange = `since ${since}`;
+    if (version !== latestVersion)
+      versionRange = `${since} \u2013 ${version}` + (until ? `, removed in ${until}` : '');
+    const url = app.linkURL(PRODUCT_NAME, version, APIDocumentation.entryContentId(kind, className, name));
+    const facets = {kind, className, since, deprecated, area: 'api'};
+    return new PPTRVersionRangeSearchItem(url, text, iconTagName, tokens, versionRange, facets, '');
+  }
+
+  /**
+   * @param {!{name: string, releaseNotes: string}} release
+   * @return {!PPTRVersionRangeSearchItem}
+   */
+  static createForReleaseNotes(release) {
+    const text = `Release Notes ${release.name}`;
+    const url = app.linkURL(PRODUCT_NAME, release.name, APIDocumentation.entryContentId('section', '', 'Release Notes'));
+    const tokens = [{text, tagName: 'search-item-api-method-name'}];
+    const facets = {kind: 'section', className: '', since: release.name, deprecated: false, area: 'release-notes'};
+    return new PPTRVersionRangeSearchItem(url, text, 'pptr-section-icon', tokens, release.name, facets, release.releaseNotes);
+  }
+
+  /**
+   * @param {string} url
+   * @param {string} text
+   * @param {string} iconTagName
+   * @param {!Array<!{text: string, tagName: string}>} tokens
+   * @param {string} versionRange
+   * @param {!Object} facets
+   * @param {string} fullText
+   */
+  constructor(url, text, iconTagName, tokens, versionRange, facets, fullText) {
+    super();
+    this._url = url;
+    this._text = text;
+    this._iconTagName = iconTagName;
+    this._tokens = tokens;
+    this._versionRange = versionRange;
+    this._facets = facets;
+    this._fullText = fullText;
+  }
+
+  fullText() {
+    return this._fullText;
+  }
+
+  facets() {
+    return this._facets;
+  }
+
+  url() {
+    return this._url;
+  }
+
+  text() {
+    return this._text;
+  }
+
+  iconElement() {
+    return document.createElement(this._iconTagName);
+  }
+
+  titleElement(matches) {
+    return renderTokensWithMatches(matches, this._tokens);
+  }
+
+  subtitleElement(textMatchTerms = []) {
+    const snippet = textMatchTerms.length ? FullTextIndex.snippet(this._fullText, textMatchTerms) : null;
+    if (snippet)
+      return renderSnippet(snippet);
+    return html`<pptr-version-range>${this._versionRange}</pptr-version-range>`;
+  }
+}
+
 class PPTRSearchItem extends SearchComponent.Item {
   static createForMethod(apiMethod) {
     const className = apiMethod.apiClass.loweredName;
@@ -509,7 +1192,7 @@ class PPTRSearchItem extends SearchComponent.Item {
       {text: className + '.', tagName: 'search-item-api-method-class'},
       {text: `${name}(${args})`, tagName: 'search-item-api-method-name'},
     ]);
-    return new PPTRSearchItem(apiMethod, text, 'pptr-method-icon', titleRenderer, desc ? desc.textContent : '');
+    return new PPTRSearchItem(apiMethod, 'method', text, 'pptr-method-icon', titleRenderer, desc ? desc.textContent : '');
   }
 
   static createForEvent(apiEvent) {
@@ -523,7 +1206,7 @@ class PPTRSearchItem extends SearchComponent.Item {
       {text: `'${name}'`, tagName: 'search-item-api-method-name'},
       {text: ')', tagName: 'search-item-api-method-class'},
     ]);
-    return new PPTRSearchItem(apiEvent, text, 'pptr-event-icon', titleRenderer, desc ? desc.textContent : '');
+    return new PPTRSearchItem(apiEvent, 'event', text, 'pptr-event-icon', titleRenderer, desc ? desc.textContent : '');
   }
 
   static createForNamespace(apiNamespace) {
@@ -536,7 +1219,7 @@ class PPTRSearchItem extends SearchComponent.Item {
       {text: className + '.', tagName: 'search-item-api-method-class'},
       {text: name, tagName: 'search-item-api-method-name'},
     ]);
-    return new PPTRSearchItem(apiNamespace, text, 'pptr-ns-icon', titleRenderer, desc ? desc.textContent : '');
+    return new PPTRSearchItem(apiNamespace, 'namespace', text, 'pptr-ns-icon', titleRenderer, desc ? desc.textContent : '');
   }
 
   static createForClass(apiClass) {
@@ -547,16 +1230,37 @@ class PPTRSearchItem extends SearchComponent.Item {
     const titleRenderer = matches => renderTokensWithMatches(matches, [
       {text: className, tagName: 'search-item-api-method-name'},
     ]);
-    return new PPTRSearchItem(apiClass, text, 'pptr-class-icon', titleRenderer, desc ? desc.textContent : '');
+    return new PPTRSearchItem(apiClass, 'class', text, 'pptr-class-icon', titleRenderer, desc ? desc.textContent : '');
+  }
+
+  static createForSection(apiSection) {
+    const name = apiSection.name;
+
+    const desc = apiSection.element.querySelector('p');
+    const titleRenderer = matches => renderTokensWithMatches(matches, [
+      {text: name, tagName: 'search-item-api-method-name'},
+    ]);
+    return new PPTRSearchItem(apiSection, 'section', name, 'pptr-section-icon', titleRenderer, desc ? desc.textContent : '');
   }
 
-  constructor(apiEntry, text, iconTagName, titleRenderer, description) {
+  constructor(apiEntry, kind, text, iconTagName, titleRenderer, description) {
     super();
     this._url = apiEntry.linkURL(PRODUCT_NAME);
+    let area = 'api';
+    if (kind === 'section')
+      area = apiEntry.name === 'Release Notes' ? 'release-notes' : 'docs';
+    this._facets = {
+      kind,
+      className: apiEntry.apiClass ? apiEntry.apiClass.name : (kind === 'class' ? apiEntry.name : ''),
+      since: apiEntry.sinceVersion,
+      deprecated: isDeprecatedEntry(apiEntry),
+      area,
+    };
     this._text = text;
     this._iconTagName = iconTagName;
     this._titleRenderer = titleRenderer;
     this._description = description;
+    this._fullText = apiEntry.element.textContent;
 
     this._subtitleElement = null;
     this._iconElement = null;
@@ -580,7 +1284,22 @@ class PPTRSearchItem extends SearchComponent.Item {
     return this._iconElement;
   }
 
-  subtitleElement() {
+  /**
+   * Descriptions, options and section bodies are searchable as well.
+   */
+  fullText() {
+    return this._fullText;
+  }
+
+  facets() {
+    return this._facets;
+  }
+
+  subtitleElement(textMatchTerms = []) {
+    // Show where description matched, if it did.
+    const snippet = textMatchTerms.length ? FullTextIndex.snippet(this._fullText, textMatchTerms) : null;
+    if (snippet)
+      return renderSnippet(snippet);
     if (!this._description)
       return null;
     if (!this._subtitleElement)
@@ -589,6 +1308,125 @@ class PPTRSearchItem extends SearchComponent.Item {
   }
 }
 
+/**
+ * Search item for a heading of README, release notes or troubleshooting guide.
+ */
+class PPTRDocSearchItem extends SearchComponent.Item {
+  /**
+   * @param {string} url
+   * @param {!{title: string, text: string}} section - heading and text under it.
+   * @param {string} iconTagName
+   * @param {string} subtitle
+   * @param {string} area - `in:` qualifier value, e.g. `docs`.
+   */
+  constructor(url, section, iconTagName, subtitle, area) {
+    super();
+    this._url = url;
+    this._title = section.title;
+    this._fullText = section.text;
+    this._iconTagName = iconTagName;
+    this._subtitle = subtitle;
+    this._facets = {kind: 'section', className: '', since: '', deprecated: false, area};
+  }
+
+  url() {
+    return this._url;
+  }
+
+  text() {
+    return this._title;
+  }
+
+  fullText() {
+    return this._fullText;
+  }
+
+  facets() {
+    return this._facets;
+  }
+
+  iconElement() {
+    return document.createElement(this._iconTagName);
+  }
+
+  titleElement(matches) {
+    return renderTokensWithMatches(matches, [{text: this._title, tagName: 'search-item-api-method-name'}]);
+  }
+
+  subtitleElement(textMatchTerms = []) {
+    const snippet = textMatchTerms.length ? FullTextIndex.snippet(this._fullText, textMatchTerms) : null;
+    return snippet ? renderSnippet(snippet) : this._subtitle;
+  }
+}
+
+/**
+ * Splits rendered markdown into sections by top-level headings. Anchors follow
+ * GitHub conventions: headings with the same text get numeric suffixes.
+ *
+ * @param {!Element} root
+ * @return {!Array<!{title: string, text: string, anchor: string, heading: !Element}>}
+ */
+function headingSections(root) {
+  const sections = [];
+  const anchors = new Set();
+  let section = null;
+  for (const node of root.childNodes) {
+    if (/^H[1-6]$/.test(node.tagName)) {
+      const title = node.textContent.trim();
+      const anchor = APIDocumentation.githubAnchor(title);
+      let dedupAnchor = anchor;
+      for (let counter = 1; anchors.has(dedupAnchor); ++counter)
+        dedupAnchor = anchor + '-' + counter;
+      anchors.add(dedupAnchor);
+      section = {title, text: '', anchor: dedupAnchor, heading: node};
+      sections.push(section);
+    } else if (section) {
+      section.text += node.textContent + '\n';
+    }
+  }
+  return sections;
+}
+
+/**
+ * @param {!Element} root
+ * @param {?string} anchor
+ * @return {?Element}
+ */
+function findHeading(root, anchor) {
+  if (!anchor)
+    return null;
+  const section = headingSections(root).find(section => section.anchor === anchor);
+  return section ? section.heading : null;
+}
+
+/**
+ * Deprecations are marked in bold, e.g. "**This method is deprecated**".
+ *
+ * @param {!APIEntry} apiEntry
+ * @return {boolean}
+ */
+function isDeprecatedEntry(apiEntry) {
+  return Array.from(apiEntry.element.querySelectorAll('strong')).some(strong => /\bdeprecated\b/i.test(strong.textContent));
+}
+
+/**
+ * @param {!{text: string, highlights: !Array<!{from: number, to: number}>}} snippet
+ * @return {!DocumentFragment}
+ */
+function renderSnippet(snippet) {
+  const fragment = document.createDocumentFragment();
+  let offset = 0;
+  for (const {from, to} of snippet.highlights) {
+    fragment.appendChild(document.createTextNode(snippet.text.substring(offset, from)));
+    const node = document.createElement('search-highlight');
+    node.textContent = snippet.text.substring(from, to);
+    fragment.appendChild(node);
+    offset = to;
+  }
+  fragment.appendChild(document.createTextNode(snippet.text.substring(offset)));
+  return fragment;
+}
+
 /**
  * @param {string} text
  * @param {!Array<number>} matches
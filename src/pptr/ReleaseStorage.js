@@ -0,0 +1,195 @@
+/**
+ * Copyright 2018 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the 'License');
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an 'AS IS' BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import {Store as IDBStore, get as idbGet, set as idbSet, del as idbDel} from '../third_party/idb-keyval.mjs';
+
+const INDEX_KEY = 'pptr-api-index';
+// Outlines of other formats are re-parsed from api.md.
+const OUTLINE_FORMAT_VERSION = 3;
+// All the data used to be stored in a single record.
+const LEGACY_KEY = 'pptr-api-data';
+
+// See Firefox bug: https://bugzilla.mozilla.org/show_bug.cgi?id=781982
+// And pptr.dev bug: https://github.com/GoogleChromeLabs/pptr.dev/issues/3
+function isFirefoxPrivateBrowsingMode() {
+  if (!('MozAppearance' in document.documentElement.style))
+    return Promise.resolve(false);
+
+  const db = indexedDB.open('test');
+  return new Promise(resolve => {
+    db.onerror = resolve.bind(null, true);
+    db.onsuccess = resolve.bind(null, false);
+  });
+}
+
+/**
+ * Every release is stored in three records so that refreshing a single
+ * release doesn't rewrite everything else:
+ * - `pptr-release:<name>` - release notes, chromium version, api.md ETag and fetch timestamp
+ * - `pptr-api:<name>` - api.md text
+ * - `pptr-outline:<name>` - classes outline parsed from api.md
+ * Index record lists stored releases, in order.
+ */
+export class ReleaseStorage {
+  static async create() {
+    const isFFPB = await isFirefoxPrivateBrowsingMode();
+    return new ReleaseStorage(isFFPB ? null : new IDBStore('pptr-db', 'pptr-store'));
+  }
+
+  /**
+   * @param {?IDBStore} idbStore - falls back to localStorage if null.
+   */
+  constructor(idbStore) {
+    this._idbStore = idbStore;
+  }
+
+  /**
+   * Releases with missing or corrupted records are omitted; their names
+   * are reported with `corruptedReleaseNames`.
+   *
+   * @return {!Promise<?{fetchTimestamp: number, readmeText: string, releases: !Array<!Object>, corruptedReleaseNames: !Array<string>}>}
+   */
+  async load() {
+    const index = await this._get(INDEX_KEY);
+    if (!index)
+      return this._migrateLegacyData();
+
+    const corruptedReleaseNames = [];
+    const releases = await Promise.all(index.releaseNames.map(async name => {
+      const [metadata, api, outline] = await Promise.all([
+        this._get(releaseKey(name)),
+        this._get(apiKey(name)),
+        this._get(outlineKey(name)),
+      ]);
+      if (!metadata || metadata.name !== name || !api || typeof api.apiText !== 'string') {
+        corruptedReleaseNames.push(name);
+        return null;
+      }
+      const release = Object.assign({}, metadata, {apiText: api.apiText});
+      // Missing outlines are re-parsed from api.md.
+      if (outline && outline.formatVersion === OUTLINE_FORMAT_VERSION && outline.classesOutline instanceof Map)
+        release.classesOutline = outline.classesOutline;
+      return release;
+    }));
+    return {
+      fetchTimestamp: index.fetchTimestamp,
+      readmeText: index.readmeText,
+      releases: releases.filter(release => !!release),
+      corruptedReleaseNames,
+    };
+  }
+
+  /**
+   * @param {!{fetchTimestamp: number, readmeText: string, releases: !Array<!Object>, changedReleaseNames: !Set<string>, changedAPINames: !Set<string>}} data
+   */
+  async save(data) {
+    // Releases that failed to download will be fetched again next time.
+    const releases = data.releases.filter(release => !release.unavailable);
+    for (const release of releases) {
+      if (data.changedReleaseNames.has(release.name)) {
+        const {name, tagName, timestamp, releaseNotes, chromiumVersion, priority, etag, apiFetchTimestamp} = release;
+        await this._set(releaseKey(name), {name, tagName, timestamp, releaseNotes, chromiumVersion, priority, etag, apiFetchTimestamp});
+      }
+      if (data.changedAPINames.has(release.name)) {
+        await this._set(apiKey(release.name), {apiText: release.apiText});
+        // Outlines can't survive JSON serialization in localStorage.
+        if (release.classesOutline && this._idbStore)
+          await this._set(outlineKey(release.name), {formatVersion: OUTLINE_FORMAT_VERSION, classesOutline: release.classesOutline});
+        else
+          await this._delete(outlineKey(release.name));
+      }
+    }
+    // Index goes last so that it never references records that weren't written.
+    await this._set(INDEX_KEY, {
+      fetchTimestamp: data.fetchTimestamp,
+      readmeText: data.readmeText,
+      releaseNames: releases.map(release => release.name),
+    });
+  }
+
+  /**
+   * Removes every stored release; they'll be downloaded again on next load.
+   */
+  async clear() {
+    const index = await this._get(INDEX_KEY);
+    // Index goes first so that it never references records that were removed.
+    await this._delete(INDEX_KEY);
+    for (const name of index ? index.releaseNames : []) {
+      await this._delete(releaseKey(name));
+      await this._delete(apiKey(name));
+      await this._delete(outlineKey(name));
+    }
+    await this._delete(LEGACY_KEY);
+  }
+
+  async _migrateLegacyData() {
+    const legacyData = await this._get(LEGACY_KEY);
+    if (!legacyData)
+      return null;
+    for (const release of legacyData.releases)
+      release.apiFetchTimestamp = legacyData.fetchTimestamp;
+    const releaseNames = new Set(legacyData.releases.map(release => release.name));
+    const data = {
+      fetchTimestamp: legacyData.fetchTimestamp,
+      readmeText: legacyData.readmeText,
+      releases: legacyData.releases,
+      changedReleaseNames: releaseNames,
+      changedAPINames: releaseNames,
+    };
+    await this.save(data);
+    await this._delete(LEGACY_KEY);
+    return {
+      fetchTimestamp: data.fetchTimestamp,
+      readmeText: data.readmeText,
+      releases: data.releases,
+      corruptedReleaseNames: [],
+    };
+  }
+
+  async _get(key) {
+    if (this._idbStore)
+      return idbGet(key, this._idbStore);
+    try {
+      return JSON.parse(localStorage.getItem(key));
+    } catch (e) {
+      // Corrupted records are treated as missing.
+      return null;
+    }
+  }
+
+  async _set(key, value) {
+    if (!this._idbStore)
+      return localStorage.setItem(key, JSON.stringify(value));
+    return idbSet(key, value, this._idbStore);
+  }
+
+  async _delete(key) {
+    if (!this._idbStore)
+      return localStorage.removeItem(key);
+    return idbDel(key, this._idbStore);
+  }
+}
+
+function releaseKey(name) {
+  return 'pptr-release:' + name;
+}
+
+function apiKey(name) {
+  return 'pptr-api:' + name;
+}
+
+function outlineKey(name) {
+  return 'pptr-outline:' + name;
+}
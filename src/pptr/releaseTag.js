@@ -0,0 +1,28 @@
+/**
+ * Copyright 2018 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the 'License');
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an 'AS IS' BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Since 19.0.0, Puppeteer is a monorepo and its releases are tagged
+ * as `puppeteer-v19.0.0`; tags of other packages are ignored.
+ * Shared by the website and build.js.
+ *
+ * @param {string} tagName
+ * @return {?string}
+ */
+export function releaseNameFromTag(tagName) {
+  const match = tagName.match(/^(?:puppeteer-)?(v\d+\.\d+\.\d+)$/);
+  return match ? match[1] : null;
+}
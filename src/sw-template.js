@@ -24,8 +24,14 @@ workbox.googleAnalytics.initialize();
 
 workbox.precaching.precacheAndRoute([], {});
 
-// This is needed to make SPA to work offline.
-workbox.routing.registerNavigationRoute("index.html");
+// This is needed to make SPA to work offline. Generated files and pre-rendered
+// pages, i.e. READMEs and class pages like /v1.20.0/Page/, are served as is.
+workbox.routing.registerNavigationRoute("index.html", {
+  blacklist: [
+    /^\/(sitemap[^/]*\.xml|opensearch\.xml|404\.html)(\?.*)?$/,
+    /^\/v\d+\.\d+\.\d+(\/[A-Z]\w*)?\/?(\?.*)?$/,
+  ],
+});
 
 // Cache common github images (e.g. pptr logo).
 workbox.routing.registerRoute(/^https:\/\/user-images\.githubusercontent\.com\/.*/, new workbox.strategies.StaleWhileRevalidate(), 'GET');
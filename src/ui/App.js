@@ -19,6 +19,12 @@ import {SidebarComponent} from './SidebarComponent.js';
 import {ToolbarComponent} from './ToolbarComponent.js';
 import {SearchComponent} from './SearchComponent.js';
 import {SettingsComponent} from './SettingsComponent.js';
+import {Router} from './Router.js';
+
+const THEME_KEY = 'theme';
+// URL parameters that keep search query and the selected result, e.g. `?search=goto&result=page.goto(url)`.
+const SEARCH_PARAMETER = 'search';
+const SEARCH_RESULT_PARAMETER = 'result';
 
 export class App {
   constructor(container) {
@@ -27,6 +33,7 @@ export class App {
     this._sidebar = new SidebarComponent();
     this._toolbar = new ToolbarComponent();
     this._search = new SearchComponent();
+    this._search.on(SearchComponent.Events.StateChanged, this._onSearchStateChanged.bind(this));
     this._settings = new SettingsComponent();
     this._settings.on(SettingsComponent.Events.VersionSelected, (product, versionName) => {
       this.navigate(versionName, App.urlContentID());
@@ -77,18 +84,62 @@ export class App {
 
     this._product = null;
     this._version = null;
+    // Commands are rebuilt only when version changes so that search doesn't re-index them.
+    this._commandItems = {version: null, items: []};
+
+    // Without explicit choice, theme follows the system one.
+    const theme = localStorage.getItem(THEME_KEY);
+    const isDark = theme ? theme === 'dark' : window.matchMedia('(prefers-color-scheme: dark)').matches;
+    document.documentElement.classList.toggle('dark-theme', isDark);
 
     window.addEventListener('popstate', this._doNavigation.bind(this), false);
+    document.addEventListener('click', this._onDocumentClick.bind(this), false);
   }
 
   static urlVersionName() {
-    const params = new URLSearchParams(window.location.hash.substring(1));
-    return params.get('version');
+    return Router.parse(window.location).versionName || null;
   }
 
   static urlContentID() {
-    const params = new URLSearchParams(window.location.hash.substring(1));
-    return params.get('show');
+    return Router.parse(window.location).contentId || null;
+  }
+
+  /**
+   * @param {string} name
+   * @return {?string}
+   */
+  static urlParameter(name) {
+    return Router.parse(window.location).parameters.get(name);
+  }
+
+  /**
+   * Follows links to app routes without reloading the page; other links,
+   * e.g. to `/sitemap.xml` or `/images/`, navigate as usual.
+   *
+   * @param {!MouseEvent} event
+   */
+  _onDocumentClick(event) {
+    if (event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey)
+      return;
+    const anchor = event.target.closest('a[href]');
+    if (!anchor || anchor.target || anchor.hasAttribute('download') || !this._isAppURL(new URL(anchor.href)))
+      return;
+    event.preventDefault();
+    this.navigateURL(anchor.href);
+  }
+
+  /**
+   * @param {!URL} url
+   * @return {boolean} - true for the root and pages of known versions.
+   */
+  _isAppURL(url) {
+    if (url.origin !== window.location.origin || !this._product)
+      return false;
+    const {versionName} = Router.parse(url);
+    // Files, e.g. `/sitemap.xml`, are routed to the default version too, but they are not app pages.
+    if (!versionName)
+      return url.pathname === '/';
+    return this._product.versionNames().includes(versionName);
   }
 
   _doNavigation() {
@@ -97,7 +148,11 @@ export class App {
     if (!this._product)
       return;
     this._sidebar.hideOnMobile();
-    const versionName = App.urlVersionName() || this._product.defaultVersionName();
+    const route = Router.parse(window.location);
+    const versionName = route.versionName || this._product.defaultVersionName();
+    // Search query, e.g. from the OpenSearch descriptor, opens search once and is dropped from the URL.
+    const query = route.parameters.get('q');
+    route.parameters.delete('q');
 
     let newVersion = this._version;
     let content = null;
@@ -106,14 +161,16 @@ export class App {
 
     if (!newVersion) {
       newVersion = this._product.getVersion(this._product.defaultVersionName());
-      content = this._product.create404('Version ' + versionName + ' is not found');
+      content = this._product.create404(this._product.versionNotFoundMessage(versionName));
     } else {
-      content = newVersion.content(App.urlContentID()) || this._product.create404();
+      content = newVersion.content(route.contentId) || this._product.create404();
+      // Old hash URLs and GitHub anchor ids keep working, but address bar shows the path, without `q=`.
+      if (content.contentId !== undefined && (route.isLegacy || query !== null || content.contentId !== route.contentId))
+        window.history.replaceState(null, '', this._routeURL(versionName, content.contentId, route.parameters));
     }
 
     this._version = newVersion;
     this._sidebar.setElements(this._version.sidebarElements());
-    this._search.setItems(this._version.searchItems());
     this._titleElement.textContent = '';
     this._titleElement.appendChild(html`
       ${this._product.name()}
@@ -127,14 +184,80 @@ export class App {
     this._search.setInputValue(content.title);
     this._content.show(content.element, content.scrollAnchor);
     this._content.element.focus();
-    if (content.title)
-      document.title = content.title;
-    else
-      document.title = this._product.name() + ' ' + this._version.name();
+    const versionTitle = this._product.name() + ' ' + this._version.name();
+    document.title = content.title ? `${content.title} - ${versionTitle}` : versionTitle;
+    // Not found pages have no canonical URL.
+    let canonicalURL = '';
+    if (content.contentId !== undefined) {
+      const url = new URL(window.location.href);
+      url.searchParams.delete(SEARCH_PARAMETER);
+      url.searchParams.delete(SEARCH_RESULT_PARAMETER);
+      canonicalURL = url.origin + url.pathname + url.search;
+    }
+    this._updateHeadMetadata(content.description || `${versionTitle} API documentation.`, canonicalURL);
+    const searchQuery = route.parameters.get(SEARCH_PARAMETER);
+    if (searchQuery !== null)
+      this._search.restoreState(searchQuery, route.parameters.get(SEARCH_RESULT_PARAMETER) || '');
+    else if (query !== null)
+      this._search.search(query);
+  }
+
+  /**
+   * Keeps search in the URL, so that it survives reloads and can be shared.
+   *
+   * @param {?{query: string, selected: string}} state
+   */
+  _onSearchStateChanged(state) {
+    if (!this._product)
+      return;
+    const url = new URL(window.location.href);
+    url.searchParams.delete(SEARCH_PARAMETER);
+    url.searchParams.delete(SEARCH_RESULT_PARAMETER);
+    if (state) {
+      url.searchParams.set(SEARCH_PARAMETER, state.query);
+      if (state.selected)
+        url.searchParams.set(SEARCH_RESULT_PARAMETER, state.selected);
+    }
+    if (url.href !== window.location.href)
+      window.history.replaceState(null, '', url.href);
+  }
+
+  /**
+   * Pages pre-rendered by build.js are indexed by this metadata.
+   *
+   * @param {string} description
+   * @param {string} canonicalURL
+   */
+  _updateHeadMetadata(description, canonicalURL) {
+    let meta = document.head.querySelector('meta[name=description]');
+    if (!meta) {
+      meta = document.createElement('meta');
+      meta.name = 'description';
+      document.head.appendChild(meta);
+    }
+    meta.content = description;
+    let link = document.head.querySelector('link[rel=canonical]');
+    if (!canonicalURL) {
+      if (link)
+        link.remove();
+      return;
+    }
+    if (!link) {
+      link = document.createElement('link');
+      link.rel = 'canonical';
+      document.head.appendChild(link);
+    }
+    link.href = canonicalURL;
   }
 
   initialize(product) {
     this._product = product;
+    this._search.registerProvider(new SearchComponent.Provider('API', () => this._version ? this._version.searchItems() : []));
+    for (const provider of product.searchProviders(() => this._version))
+      this._search.registerProvider(provider);
+    // Items for every version are rarely needed, so they are created lazily.
+    this._search.registerProvider(new SearchComponent.Provider('All Versions', () => product.allVersionsSearchItems(), '@all'));
+    this._search.registerProvider(new SearchComponent.Provider('Commands', () => this._commands(), '>'));
 
     this._container.appendChild(this._content.element);
     this._container.appendChild(this._sidebar.glasspane);
@@ -154,8 +277,34 @@ export class App {
     this._doNavigation();
   }
 
+  /**
+   * @return {!Array<!SearchComponent.Command>}
+   */
+  _commands() {
+    if (this._commandItems.items.length && this._commandItems.version === this._version)
+      return this._commandItems.items;
+    const commands = [
+      new SearchComponent.Command('Copy link to current entry', () => this.copyLink()),
+      new SearchComponent.Command('Toggle dark theme', () => {
+        const isDark = document.documentElement.classList.toggle('dark-theme');
+        localStorage.setItem(THEME_KEY, isDark ? 'dark' : 'light');
+      }),
+    ];
+    for (const {name, description, unavailable} of this._product.versionDescriptions()) {
+      if (unavailable || (this._version && this._version.name() === name))
+        continue;
+      const command = new SearchComponent.Command(`Switch to version ${name}`, () => {
+        this.navigate(name, App.urlContentID());
+      }, description);
+      commands.push(command);
+    }
+    commands.push(...this._product.commands(this._version));
+    this._commandItems = {version: this._version, items: commands};
+    return commands;
+  }
+
   navigate(versionName, contentId) {
-    window.location.hash = this.linkURL(this._product.name(), versionName, contentId);
+    this.navigateURL(this.linkURL(this._product.name(), versionName, contentId));
   }
 
   navigateHome() {
@@ -166,21 +315,56 @@ export class App {
   }
 
   navigateURL(url) {
-    window.location = url;
+    const target = new URL(url, document.baseURI);
+    if (target.origin !== window.location.origin) {
+      window.location = url;
+      return;
+    }
+    if (target.href === window.location.href)
+      return;
+    window.history.pushState(null, '', target.href);
+    this._doNavigation();
+  }
+
+  linkURL(productName, versionName, contentId, parameters = {}) {
+    return Router.url(versionName, contentId, parameters);
+  }
+
+  /**
+   * @param {string} versionName
+   * @param {string} contentId
+   * @param {!URLSearchParams} parameters
+   * @return {string}
+   */
+  _routeURL(versionName, contentId, parameters) {
+    const parameterValues = {};
+    for (const [name, value] of parameters)
+      parameterValues[name] = value;
+    return this.linkURL(this._product.name(), versionName, contentId, parameterValues);
   }
 
-  linkURL(productName, versionName, contentId) {
-    let result = `#?product=${productName}&version=${versionName}`;
-    if (contentId)
-      result += `&show=${contentId}`;
-    return result;
+  /**
+   * Copies link to what is shown, including search results if search is open.
+   *
+   * @return {!Promise<boolean>} - whether the link was copied.
+   */
+  copyLink() {
+    return navigator.clipboard.writeText(window.location.href).then(() => true, error => {
+      console.error('Failed to copy link: ' + error.message);
+      return false;
+    });
   }
 
   focusContent() {
     this._content.element.focus();
   }
 
-  setLoadingScreen(visible, text) {
+  /**
+   * @param {boolean} visible
+   * @param {string=} text
+   * @param {function()=} onRetry - if passed, loading screen turns into an error screen with a "retry" button.
+   */
+  setLoadingScreen(visible, text, onRetry) {
     if (this._loadingScreen) {
       this._loadingScreen.remove();
       this._loadingScreen = null;
@@ -188,20 +372,24 @@ export class App {
     if (!visible)
       return;
     this._loadingScreen = html`
-      <loading-screen>
+      <loading-screen class=${onRetry ? 'loading-error' : ''}>
         <loading-content>
           <div class='text'>${text}</div>
           <img src='/images/pptr.png'></img>
-          <div class='spinner'>
-            <div class='rect1'></div>
-            <div class='rect2'></div>
-            <div class='rect3'></div>
-            <div class='rect4'></div>
-            <div class='rect5'></div>
-          </div>
+          ${onRetry ? html`<button class='retry'>Retry</button>` : html`
+            <div class='spinner'>
+              <div class='rect1'></div>
+              <div class='rect2'></div>
+              <div class='rect3'></div>
+              <div class='rect4'></div>
+              <div class='rect5'></div>
+            </div>
+          `}
         </loading-content>
       </loading-screen>
     `;
+    if (onRetry)
+      this._loadingScreen.$('button.retry').addEventListener('click', () => onRetry.call(null), false);
     document.body.appendChild(this._loadingScreen);
   }
 }
@@ -218,7 +406,14 @@ App.Product = class {
   }
 
   /**
-   * @return {!Array<!{name: string, description: string, date: Date}>}
+   * @return {!Array<string>}
+   */
+  versionNames() {
+    return [];
+  }
+
+  /**
+   * @return {!Array<!{name: string, description: string, date: Date, unavailable: boolean}>}
    */
   versionDescriptions() {
     return [];
@@ -227,6 +422,37 @@ App.Product = class {
   settingsFooterElement() {
   }
 
+  /**
+   * @return {!Array<!SearchComponent.Item>} - items for entries of every version, one per entry.
+   */
+  allVersionsSearchItems() {
+    return [];
+  }
+
+  /**
+   * @param {function():?App.ProductVersion} currentVersion - returns version being shown.
+   * @return {!Array<!SearchComponent.Provider>} - search items in addition to the version's API entries.
+   */
+  searchProviders(currentVersion) {
+    return [];
+  }
+
+  /**
+   * @param {?App.ProductVersion} version - version being shown.
+   * @return {!Array<!SearchComponent.Command>} - product-specific commands of the command palette.
+   */
+  commands(version) {
+    return [];
+  }
+
+  /**
+   * @param {string} versionName
+   * @return {string}
+   */
+  versionNotFoundMessage(versionName) {
+    return 'Version ' + versionName + ' is not found';
+  }
+
   getVersion(name) {
   }
 }
@@ -244,8 +470,11 @@ App.ProductVersion = class {
   }
 
   /**
+   * Content may be found by an alias of its id, e.g. an id of an earlier website version;
+   * returned `contentId` is the one to show in the address bar.
+   *
    * @param {string} contentId
-   * @return {?{title: string, element: !Node, scrollAnchor: ?Node, selectedSidebarElement: ?Element}}
+   * @return {?{title: string, element: !Node, scrollAnchor: ?Node, selectedSidebarElement: ?Element, contentId: (string|undefined), description: (string|undefined)}}
    */
   content(contentId) {
     return null;
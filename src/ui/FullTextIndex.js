@@ -0,0 +1,198 @@
+/**
+ * Copyright 2018 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the 'License');
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an 'AS IS' BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'if', 'in', 'is',
+  'it', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'with',
+]);
+
+// Ordered so that longer suffixes are stripped first.
+const SUFFIXES = ['ations', 'ation', 'ates', 'ate', 'ings', 'ing', 'ions', 'ion', 'ed', 's'];
+
+// Query terms shorter than this match too many words by prefix.
+const MIN_QUERY_TERM_LENGTH = 2;
+
+// Number of characters to show before the first match in a snippet.
+const SNIPPET_CONTEXT = 30;
+
+/**
+ * Inverted index that maps words of item descriptions to items.
+ * Words are stemmed so that "intercept requests" matches
+ * "request interception"; query words match by prefix.
+ */
+export class FullTextIndex {
+  constructor() {
+    this._items = [];
+    /** @type {!Map<string, !Map<number, number>>} term -> item index -> term frequency */
+    this._postings = new Map();
+    // Sorted terms to match prefixes; built lazily.
+    this._sortedTerms = null;
+  }
+
+  /**
+   * @param {string} text
+   * @return {!Array<string>} - stemmed terms, in order of appearance.
+   */
+  static tokenize(text) {
+    const terms = [];
+    for (const word of text.split(/[^A-Za-z0-9]+/)) {
+      if (!word)
+        continue;
+      // Split identifiers: setRequestInterception -> set, request, interception.
+      const parts = word.replace(/([a-z0-9])([A-Z])/g, '$1 $2').split(' ');
+      if (parts.length > 1)
+        terms.push(word.toLowerCase());
+      for (const part of parts) {
+        const term = stem(part.toLowerCase());
+        if (!STOP_WORDS.has(term))
+          terms.push(term);
+      }
+    }
+    return terms;
+  }
+
+  /**
+   * Finds the first match of query terms in text and cuts a snippet around it.
+   *
+   * @param {string} text
+   * @param {!Array<string>} queryTerms
+   * @param {number=} maxLength
+   * @return {?{text: string, highlights: !Array<!{from: number, to: number}>}}
+   */
+  static snippet(text, queryTerms, maxLength = 150) {
+    text = text.replace(/\s+/g, ' ').trim();
+    const matches = [];
+    const wordRegex = /[A-Za-z0-9]+/g;
+    let match;
+    while ((match = wordRegex.exec(text)) !== null) {
+      const terms = FullTextIndex.tokenize(match[0]);
+      if (terms.some(term => queryTerms.some(queryTerm => term.startsWith(queryTerm))))
+        matches.push({from: match.index, to: match.index + match[0].length});
+    }
+    if (!matches.length)
+      return null;
+    let start = Math.max(0, matches[0].from - SNIPPET_CONTEXT);
+    // Don't cut words in half.
+    if (start > 0) {
+      const space = text.indexOf(' ', start);
+      start = space !== -1 && space < matches[0].from ? space + 1 : matches[0].from;
+    }
+    const end = Math.min(text.length, start + maxLength);
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+    const shift = prefix.length - start;
+    return {
+      text: prefix + text.substring(start, end) + suffix,
+      highlights: matches
+        .filter(range => range.from >= start && range.to <= end)
+        .map(range => ({from: range.from + shift, to: range.to + shift})),
+    };
+  }
+
+  /**
+   * @param {*} item
+   * @param {string} text
+   */
+  addItem(item, text) {
+    const itemIndex = this._items.length;
+    this._items.push(item);
+    for (const term of FullTextIndex.tokenize(text)) {
+      let postings = this._postings.get(term);
+      if (!postings) {
+        postings = new Map();
+        this._postings.set(term, postings);
+      }
+      postings.set(itemIndex, (postings.get(itemIndex) || 0) + 1);
+    }
+    this._sortedTerms = null;
+  }
+
+  /**
+   * Items have to match every query term. Relevance is normalized so that
+   * the best match has relevance of 1.
+   *
+   * @param {string} query
+   * @return {!Map<*, !{relevance: number, terms: !Array<string>}>}
+   */
+  search(query) {
+    const results = new Map();
+    const queryTerms = [...new Set(FullTextIndex.tokenize(query))].filter(term => term.length >= MIN_QUERY_TERM_LENGTH);
+    if (!queryTerms.length)
+      return results;
+
+    let scores = null;
+    for (const queryTerm of queryTerms) {
+      const termScores = new Map();
+      for (const term of this._termsWithPrefix(queryTerm)) {
+        const postings = this._postings.get(term);
+        const idf = Math.log(1 + this._items.length / postings.size);
+        for (const [itemIndex, frequency] of postings) {
+          if (scores && !scores.has(itemIndex))
+            continue;
+          const score = idf * frequency / (frequency + 1);
+          termScores.set(itemIndex, Math.max(termScores.get(itemIndex) || 0, score));
+        }
+      }
+      if (scores) {
+        for (const [itemIndex, score] of termScores)
+          termScores.set(itemIndex, score + scores.get(itemIndex));
+      }
+      scores = termScores;
+      if (!scores.size)
+        return results;
+    }
+
+    const maxScore = Math.max(...scores.values());
+    for (const [itemIndex, score] of scores)
+      results.set(this._items[itemIndex], {relevance: score / maxScore, terms: queryTerms});
+    return results;
+  }
+
+  /**
+   * @param {string} prefix
+   * @return {!Array<string>}
+   */
+  _termsWithPrefix(prefix) {
+    if (!this._sortedTerms)
+      this._sortedTerms = [...this._postings.keys()].sort();
+    const terms = this._sortedTerms;
+    let low = 0;
+    let high = terms.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (terms[middle] < prefix)
+        low = middle + 1;
+      else
+        high = middle;
+    }
+    const result = [];
+    for (let i = low; i < terms.length && terms[i].startsWith(prefix); ++i)
+      result.push(terms[i]);
+    return result;
+  }
+}
+
+/**
+ * @param {string} word - lower-cased word.
+ * @return {string}
+ */
+function stem(word) {
+  for (const suffix of SUFFIXES) {
+    if (word.endsWith(suffix) && word.length - suffix.length >= 3)
+      return word.substring(0, word.length - suffix.length);
+  }
+  return word;
+}
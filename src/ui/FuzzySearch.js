@@ -16,6 +16,10 @@
 
 const REGEX_SPECIAL_CHARACTERS = '^[]{}()\\.^$*+?|-,';
 
+// Queries tolerate a typo per this many characters, up to MAX_TYPOS.
+const QUERY_LENGTH_PER_TYPO = 4;
+const MAX_TYPOS = 2;
+
 /**
  * @unrestricted
  */
@@ -30,6 +34,7 @@ export class FuzzySearch {
     this._score = new Int32Array(20 * 100);
     this._sequence = new Int32Array(20 * 100);
     this._dataUpperCase = '';
+    this._maxTypos = Math.min(MAX_TYPOS, Math.floor(query.length / QUERY_LENGTH_PER_TYPO));
   }
 
   /**
@@ -40,13 +45,18 @@ export class FuzzySearch {
   }
 
   /**
+   * Data that contains query as a subsequence always scores higher than data
+   * that only matches with typos.
+   *
    * @param {string} data
    * @param {?Array<number>} matchIndexes
    * @return {number}
    */
   score(data, matchIndexes) {
-    if (!data || !this._query || !this._filterRegex.test(data))
+    if (!data || !this._query)
       return 0;
+    if (!this._filterRegex.test(data))
+      return this._maxTypos ? this._typoScore(data, matchIndexes) : 0;
     var n = this._query.length;
     var m = data.length;
     if (!this._score || this._score.length < n * m) {
@@ -99,6 +109,72 @@ export class FuzzySearch {
     out.reverse();
   }
 
+  /**
+   * Finds a substring of data that is within a few edits - insertions,
+   * deletions, substitutions or transpositions - of the query,
+   * e.g. `page.gtoo` matches `page.goto`.
+   *
+   * @param {string} data
+   * @param {?Array<number>} matchIndexes
+   * @return {number}
+   */
+  _typoScore(data, matchIndexes) {
+    const query = this._queryUpperCase;
+    const text = data.toUpperCase();
+    const n = query.length;
+    const m = text.length;
+    // Distance between query prefix and the best substring of data ending at j,
+    // and where that substring starts; for the current and two previous query characters.
+    let distance = new Int32Array(m + 1);
+    let start = new Int32Array(m + 1);
+    let prevDistance = new Int32Array(m + 1);
+    let prevStart = new Int32Array(m + 1);
+    let prevPrevDistance = new Int32Array(m + 1);
+    let prevPrevStart = new Int32Array(m + 1);
+    // Substring can start anywhere.
+    for (let j = 0; j <= m; ++j)
+      start[j] = j;
+    for (let i = 1; i <= n; ++i) {
+      [prevPrevDistance, prevPrevStart, prevDistance, prevStart, distance, start] =
+          [prevDistance, prevStart, distance, start, prevPrevDistance, prevPrevStart];
+      distance[0] = i;
+      start[0] = 0;
+      for (let j = 1; j <= m; ++j) {
+        let best = prevDistance[j - 1] + (query[i - 1] === text[j - 1] ? 0 : 1);
+        let bestStart = prevStart[j - 1];
+        if (prevDistance[j] + 1 < best) {
+          best = prevDistance[j] + 1;
+          bestStart = prevStart[j];
+        }
+        if (distance[j - 1] + 1 < best) {
+          best = distance[j - 1] + 1;
+          bestStart = start[j - 1];
+        }
+        const isTransposition = i > 1 && j > 1 && query[i - 1] === text[j - 2] && query[i - 2] === text[j - 1];
+        if (isTransposition && prevPrevDistance[j - 2] + 1 < best) {
+          best = prevPrevDistance[j - 2] + 1;
+          bestStart = prevPrevStart[j - 2];
+        }
+        distance[j] = best;
+        start[j] = bestStart;
+      }
+    }
+
+    let end = 0;
+    for (let j = 1; j <= m; ++j) {
+      if (distance[j] < distance[end])
+        end = j;
+    }
+    if (distance[end] > this._maxTypos)
+      return 0;
+    if (matchIndexes) {
+      for (let j = start[end]; j < end; ++j)
+        matchIndexes.push(j);
+    }
+    // Every matched character of a subsequence scores at least 10.
+    return n - distance[end];
+  }
+
   /**
    * @param {string} query
    * @param {string} data
@@ -117,6 +193,9 @@ export class FuzzySearch {
       score += 6;
     if (!consecutiveMatch && (!j || /[^\w$]/.test(data[j - 1])))
       score += 2;
+    // Abbreviations: `wfs` matches humps of `waitForSelector`.
+    if (!consecutiveMatch && j && /[a-z0-9]/.test(data[j - 1]) && /[A-Z]/.test(data[j]))
+      score += 4;
     score += consecutiveMatch * 4;
     return score;
   }
@@ -0,0 +1,95 @@
+/**
+ * Copyright 2018 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the 'License');
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an 'AS IS' BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Parameters of hash URLs that are part of the path now.
+const LEGACY_PARAMETERS = ['product', 'version', 'show'];
+// File names, e.g. `index.html`, that static servers may fall back to; versions end with digits.
+const FILE_NAME_REGEX = /\.[a-z]\w*$/i;
+
+/**
+ * @typedef {{versionName: string, contentId: string, parameters: !URLSearchParams, isLegacy: boolean}} Route
+ */
+
+/**
+ * Maps URLs to routes and back. URLs are paths, e.g. `/v1.20.0/Page/goto?heading=example`:
+ * the first segment is version name, the rest is content id.
+ *
+ * Hash URLs of earlier website versions, e.g. `#?product=Puppeteer&version=v1.20.0&show=api-class-page`,
+ * are parsed as well; such routes are marked as legacy. Paths of files,
+ * e.g. `/index.html`, are routed to the default version.
+ */
+export class Router {
+  /**
+   * @param {!Location|!URL} location
+   * @return {!Route}
+   */
+  static parse(location) {
+    if (location.hash.startsWith('#?')) {
+      const parameters = new URLSearchParams(location.hash.substring(2));
+      const versionName = parameters.get('version') || '';
+      const contentId = parameters.get('show') || '';
+      for (const name of LEGACY_PARAMETERS)
+        parameters.delete(name);
+      return {versionName, contentId, parameters, isLegacy: true};
+    }
+    const parameters = new URLSearchParams(location.search);
+    const [versionName = '', ...contentPath] = location.pathname.split('/').filter(segment => segment).map(decodeSegment);
+    if (FILE_NAME_REGEX.test(versionName))
+      return {versionName: '', contentId: '', parameters, isLegacy: false};
+    return {versionName, contentId: contentPath.join('/'), parameters, isLegacy: false};
+  }
+
+  /**
+   * @param {string} versionName
+   * @param {string=} contentId
+   * @param {!Object<string, string>=} parameters
+   * @return {string}
+   */
+  static url(versionName, contentId = '', parameters = {}) {
+    let result = '/';
+    if (versionName)
+      result += encodeSegment(versionName);
+    if (versionName && contentId)
+      result += '/' + contentId.split('/').map(encodeSegment).join('/');
+    const query = new URLSearchParams(parameters).toString();
+    if (query)
+      result += '?' + query;
+    return result;
+  }
+}
+
+/**
+ * Method names, e.g. `$$eval`, read better unescaped.
+ *
+ * @param {string} segment
+ * @return {string}
+ */
+function encodeSegment(segment) {
+  return encodeURIComponent(segment).replace(/%(24|3A|40)/g, escaped => decodeURIComponent(escaped));
+}
+
+/**
+ * @param {string} segment
+ * @return {string}
+ */
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (e) {
+    // Malformed escapes are left as typed.
+    return segment;
+  }
+}
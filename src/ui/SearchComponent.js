@@ -14,32 +14,68 @@
  * limitations under the License.
  */
 
-import {FuzzySearch} from './FuzzySearch.js';
+import {EventEmitter} from './EventEmitter.js';
+import {SearchEngineProxy} from './SearchEngine.js';
+import {SearchHistory} from './SearchHistory.js';
 import {html} from './html.js';
 
-// Number of search results to render immediately.
-const SEARCH_RENDER_COUNT = 50;
+// Heights of rows in search results; have to match search-component.css.
+const ROW_HEIGHT = 58;
+const GROUP_HEADER_HEIGHT = 28;
+// Number of rows to render above and below the visible ones.
+const OVERSCAN_ROWS = 10;
+// Relative to the document, so that it works for both debug and prod builds.
+const SEARCH_WORKER_URL = './ui/SearchWorker.js';
+// How long "copy link" shows that the link was copied, in milliseconds.
+const COPY_LINK_FEEDBACK_TIMEOUT = 1500;
 
-export class SearchComponent {
+export class SearchComponent extends EventEmitter {
   constructor() {
+    super();
     this.element = html`
       <search-component>
-        <input type=search autocomplete=off autocapitalize=off spellcheck=false size=1 placeholder='start typing to search...'></input>
-        <search-results>
-        </search-results>
+        <input type=search autocomplete=off autocapitalize=off spellcheck=false size=1 placeholder='start typing to search, e.g. @all kind:event goto, or > for commands...'></input>
+        <search-panel>
+          <search-results>
+          </search-results>
+          <search-footer>
+            <search-copy-link>Copy link to these results</search-copy-link>
+          </search-footer>
+        </search-panel>
       </search-component>
     `;
     this._contentElement = this.element.$('search-results');
+    this._footerElement = this.element.$('search-footer');
+    this._copyLinkElement = this.element.$('search-copy-link');
+    this._copyLinkElement.addEventListener('click', this._onCopyLinkClick.bind(this), false);
+    // Keep focus in the input, so that results can still be navigated with keyboard.
+    this._copyLinkElement.addEventListener('mousedown', event => event.preventDefault(), false);
+    // Only visible rows are rendered; paddings stand in for the rest.
+    this._contentElement.addEventListener('scroll', () => this._renderVisibleRows(), false);
 
-    this._items = [];
+    /** @type {!Array<!{provider: !SearchComponent.Provider, key: string, items: ?Array<!SearchComponent.Item>}>} */
+    this._providers = [];
+    this._query = '';
+    // Scoring runs in a worker to keep typing smooth.
+    this._searchEngine = new SearchEngineProxy(SEARCH_WORKER_URL);
+    this._history = new SearchHistory();
+    this._history.load().then(() => this._searchEngine.setVisitCounts(this._history.visitCounts()));
     this._visible = false;
 
     this._defaultValue = '';
 
     this._gotoHomeItem = html`<search-item-custom>Navigate Home</search-item-custom>`;
-    this._showOtherItem = html`<search-item-custom/>`;
 
+    /** @type {!Array<!{element: ?Element, result: ?Object, height: number, selectable: boolean}>} */
+    this._rows = [];
+    // Offsets of rows from the top of the list; the last one is the list height.
+    this._rowOffsets = [0];
+    /** @type {!Map<number, !Element>} */
+    this._renderedRows = new Map();
+    this._selectedIndex = -1;
     this._selectedElement = null;
+    // Text of the item to select once it is found, see restoreState.
+    this._pendingSelection = '';
 
     this.input = this.element.$('input');
     this.input.addEventListener('keydown', event => {
@@ -54,11 +90,12 @@ export class SearchComponent {
       } else if (event.key === 'Enter') {
         event.preventDefault();
         event.stopPropagation();
-        if (this._selectedElement);
+        if (this._selectedElement)
           this._selectedElement.click();
       }
     }, false);
     this.input.addEventListener('input', () => {
+      this._pendingSelection = '';
       this.search(this.input.value);
     }, false);
     this.input.addEventListener('focus', () => {
@@ -68,6 +105,9 @@ export class SearchComponent {
     document.addEventListener('keydown', event => {
       if (this.input === document.activeElement)
         return;
+      // Do not steal keystrokes from other text fields, e.g. in settings.
+      if (isTextField(document.activeElement))
+        return;
       if (event.keyCode === 8 || event.keyCode === 46) {
         // Activate search on backspace
         this.input.focus();
@@ -80,7 +120,7 @@ export class SearchComponent {
     }, false);
     // Activate on paste
     document.addEventListener('paste', event => {
-      if (this.input === document.activeElement)
+      if (this.input === document.activeElement || isTextField(document.activeElement))
         return;
       this.input.focus();
     }, false);
@@ -88,7 +128,7 @@ export class SearchComponent {
     document.addEventListener('click', event => {
       if (!this._visible)
         return;
-      if (this.input.contains(event.target))
+      if (this.input.contains(event.target) || this._footerElement.contains(event.target))
         return;
       let item = event.target;
       while (item && item.parentElement !== this._contentElement)
@@ -101,24 +141,50 @@ export class SearchComponent {
         event.preventDefault();
         this.cancelSearch();
         app.navigateHome();
-      } else if (item === this._showOtherItem) {
-        // Render the rest.
-        for (const result of this._remainingResults) {
-          const element = this._renderResult(result);
-          this._contentElement.appendChild(element);
-        }
-        this._selectElement(this._showOtherItem.nextSibling);
-        this._showOtherItem.remove();
-        this.input.focus();
+      } else if (item[SearchComponent._recentQuerySymbol]) {
         event.preventDefault();
-      } else {
+        this.setInputValue(item[SearchComponent._recentQuerySymbol]);
+        this.search(this.input.value);
+      } else if (item[SearchComponent._symbol]) {
         event.preventDefault();
+        const searchItem = item[SearchComponent._symbol];
+        // Commands are not documentation; running them shouldn't skew results or recent queries.
+        if (!(searchItem instanceof SearchComponent.Command)) {
+          this._history.addVisit(this.input.value.trim(), searchItem.text());
+          this._searchEngine.setVisitCounts(this._history.visitCounts());
+        }
         this.cancelSearch();
-        app.navigateURL(item[SearchComponent._symbol].url());
+        searchItem.activate();
+      } else {
+        // Group headers and "No Results".
+        event.preventDefault();
+        this.input.focus();
       }
     }, false);
   }
 
+  /**
+   * @return {?{query: string, selected: string}} - query and text of the selected item, or null if search is closed.
+   */
+  state() {
+    if (!this._visible)
+      return null;
+    const row = this._rows[this._selectedIndex];
+    const selected = row && row.result ? row.result.item.text() : '';
+    return {query: this._query, selected};
+  }
+
+  /**
+   * Opens search, e.g. from a link to search results.
+   *
+   * @param {string} query
+   * @param {string} selected - text of the item to select.
+   */
+  restoreState(query, selected) {
+    this._pendingSelection = selected;
+    this.search(query);
+  }
+
   toggleSearch() {
     if (this._visible)
       this.cancelSearch();
@@ -126,8 +192,14 @@ export class SearchComponent {
       this.search(this._defaultValue);
   }
 
-  setItems(items) {
-    this._items = items;
+  /**
+   * Providers are asked for items on every search; they are expected to
+   * return the same array until their items change.
+   *
+   * @param {!SearchComponent.Provider} provider
+   */
+  registerProvider(provider) {
+    this._providers.push({provider, key: 'provider-' + this._providers.length, items: null});
   }
 
   setInputValue(value) {
@@ -141,56 +213,174 @@ export class SearchComponent {
   }
 
   search(query) {
+    // Query may come from elsewhere, e.g. from the `q=` URL parameter.
+    if (this.input.value !== query) {
+      // Focus first: focused input remembers its value to restore on cancel.
+      this.input.focus();
+      this.input.value = query;
+    }
+    this._query = query;
     this._setVisible(true);
-    const results = []
-    this._remainingResults = [];
-
-    if (query) {
-      const fuzzySearch = new FuzzySearch(query);
-      for (const item of this._items) {
-        let matches = [];
-        let score = fuzzySearch.score(item.text(), matches);
-        if (score !== 0) {
-          results.push({item, score, matches});
-        }
-      }
-      if (results.length === 0) {
-        this._contentElement.innerHTML = `<search-item-custom>No Results</search-item-custom>`;
+    // Providers with the longest matching prefix serve the query.
+    let prefix = '';
+    for (const {provider} of this._providers) {
+      if (query.startsWith(provider.prefix()) && provider.prefix().length > prefix.length)
+        prefix = provider.prefix();
+    }
+    const providers = this._providers.filter(entry => entry.provider.prefix() === prefix);
+    for (const entry of providers)
+      this._requestItems(entry);
+    const loadedProviders = providers.filter(entry => entry.items);
+    const itemsByKey = new Map(loadedProviders.map(entry => [entry.key, entry]));
+    query = query.substring(prefix.length).trim();
+    this._searchEngine.search(loadedProviders.map(entry => entry.key), query).then(searchResults => {
+      // Superseded by a newer search.
+      if (!searchResults)
         return;
-      }
-      results.sort((a, b) => {
-        const scoreDiff = b.score - a.score;
-        if (scoreDiff)
-          return scoreDiff;
-        // Prefer left-most search results.
-        const startDiff = a.matches[0] - b.matches[0];
-        if (startDiff)
-          return startDiff;
-        return a.item.text().length - b.item.text().length;
+      const results = searchResults.map(({key, index, matches, textMatchTerms}) => {
+        const {provider, items} = itemsByKey.get(key);
+        return {item: items[index], provider, matches, textMatchTerms};
       });
-    } else {
-      for (const item of this._items)
-        results.push({item, score: 0, matches: []});
+      this._renderResults(query, results, !prefix);
+    });
+  }
+
+  /**
+   * Searches again once asynchronous provider delivers its items for the first time.
+   *
+   * @param {!{provider: !SearchComponent.Provider, key: string, items: ?Array<!SearchComponent.Item>}} entry
+   */
+  _requestItems(entry) {
+    const items = entry.provider.items();
+    if (Array.isArray(items)) {
+      this._setProviderItems(entry, items);
+      return;
+    }
+    items.then(items => {
+      const isFirstLoad = !entry.items;
+      this._setProviderItems(entry, items);
+      if (isFirstLoad && this._visible)
+        this.search(this._query);
+    }).catch(error => {
+      console.error(`Failed to load ${entry.provider.title()} search items: ${error.message}`);
+    });
+  }
+
+  _setProviderItems(entry, items) {
+    if (items === entry.items)
+      return;
+    entry.items = items;
+    this._searchEngine.setItems(entry.key, items.map(item => item.serialize()));
+  }
+
+  /**
+   * Results are grouped by provider, groups with better matches go first.
+   *
+   * @param {string} query
+   * @param {!Array<!{item: !SearchComponent.Item, provider: !SearchComponent.Provider, matches: !Array<number>, textMatchTerms: !Array<string>}>} results
+   * @param {boolean} showHistory - whether to list recent queries when query is empty.
+   */
+  _renderResults(query, results, showHistory) {
+    this._rows = [];
+    this._rowOffsets = [0];
+    this._renderedRows = new Map();
+    this._selectedIndex = -1;
+    this._selectedElement = null;
+    this._contentElement.style.removeProperty('padding-top');
+    this._contentElement.style.removeProperty('padding-bottom');
+    if (query && results.length === 0) {
+      this._contentElement.innerHTML = `<search-item-custom>No Results</search-item-custom>`;
+      this.emit(SearchComponent.Events.StateChanged, this.state());
+      return;
     }
     this._contentElement.innerHTML = '';
     this._contentElement.scrollTop = 0;
-    if (!query)
-      this._contentElement.appendChild(this._gotoHomeItem);
+    const rows = [];
+    if (!query && showHistory) {
+      rows.push({element: this._gotoHomeItem, result: null, height: ROW_HEIGHT, selectable: true});
+      for (const recentQuery of this._history.recentQueries())
+        rows.push({element: this._renderRecentQuery(recentQuery), result: null, height: ROW_HEIGHT, selectable: true});
+    }
+    const groups = new Map();
+    for (const result of results) {
+      if (!groups.has(result.provider))
+        groups.set(result.provider, []);
+      groups.get(result.provider).push(result);
+    }
+    for (const [provider, groupResults] of groups) {
+      // Headers are only needed to tell groups apart.
+      if (groups.size > 1)
+        rows.push({element: this._renderGroupHeader(provider), result: null, height: GROUP_HEADER_HEIGHT, selectable: false});
+      for (const result of groupResults)
+        rows.push({element: null, result, height: ROW_HEIGHT, selectable: true});
+    }
+    this._rows = rows;
+    for (const row of rows)
+      this._rowOffsets.push(this._rowOffsets[this._rowOffsets.length - 1] + row.height);
+    // Size the list before measuring what's visible.
+    this._contentElement.style.paddingBottom = this._rowOffsets[rows.length] + 'px';
+    let selectedIndex = rows.findIndex(row => row.selectable);
+    if (this._pendingSelection) {
+      const index = rows.findIndex(row => row.result && row.result.item.text() === this._pendingSelection);
+      if (index !== -1)
+        selectedIndex = index;
+    }
+    this._selectIndex(selectedIndex);
+  }
 
-    for (let i = 0; i < Math.min(results.length, SEARCH_RENDER_COUNT); ++i) {
-      const item = this._renderResult(results[i]);
-      this._contentElement.appendChild(item);
+  /**
+   * @param {number} offset
+   * @return {number} - index of the row at offset, or number of rows if there's none.
+   */
+  _rowAt(offset) {
+    let low = 0;
+    let high = this._rows.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (this._rowOffsets[middle + 1] <= offset)
+        low = middle + 1;
+      else
+        high = middle;
     }
+    return low;
+  }
 
-    this._remainingResults = results.slice(SEARCH_RENDER_COUNT);
-    if (this._remainingResults.length > 0) {
-      this._showOtherItem.textContent = `Show Remaining ${this._remainingResults.length} Results.`;
-      this._contentElement.appendChild(this._showOtherItem);
+  _renderVisibleRows() {
+    const scrollTop = this._contentElement.scrollTop;
+    const height = this._contentElement.clientHeight;
+    const from = Math.max(0, this._rowAt(scrollTop) - OVERSCAN_ROWS);
+    const to = Math.min(this._rows.length, this._rowAt(scrollTop + height) + 1 + OVERSCAN_ROWS);
+    const renderedRows = new Map();
+    for (let i = from; i < to; ++i) {
+      const row = this._rows[i];
+      renderedRows.set(i, this._renderedRows.get(i) || row.element || this._renderResult(row.result));
+    }
+    for (const [index, element] of this._renderedRows) {
+      if (!renderedRows.has(index))
+        element.remove();
+    }
+    // Rendered rows are kept in order so that they are laid out one after another.
+    let previous = null;
+    for (const element of renderedRows.values()) {
+      const next = previous ? previous.nextSibling : this._contentElement.firstChild;
+      if (element !== next)
+        this._contentElement.insertBefore(element, next);
+      previous = element;
     }
-    this._selectElement(this._contentElement.firstChild, true /* omitScroll */);
+    this._renderedRows = renderedRows;
+    this._contentElement.style.paddingTop = this._rowOffsets[from] + 'px';
+    this._contentElement.style.paddingBottom = this._rowOffsets[this._rows.length] - this._rowOffsets[to] + 'px';
+
+    if (this._selectedElement)
+      this._selectedElement.classList.remove('selected');
+    this._selectedElement = renderedRows.get(this._selectedIndex) || null;
+    if (this._selectedElement)
+      this._selectedElement.classList.add('selected');
   }
 
   cancelSearch() {
+    this._pendingSelection = '';
+    this._searchEngine.cancel();
     this.input.blur();
     this._setVisible(false);
     this.input.value = this._defaultValue;
@@ -198,40 +388,69 @@ export class SearchComponent {
   }
 
   _selectNext(event) {
-    if (!this._selectedElement)
+    if (this._selectedIndex === -1)
       return;
     event.preventDefault();
-    let next = this._selectedElement.nextSibling;
-    if (!next)
-      next = this._contentElement.firstChild;
-    this._selectElement(next);
+    this._pendingSelection = '';
+    let next = this._selectedIndex;
+    do
+      next = (next + 1) % this._rows.length;
+    while (!this._rows[next].selectable);
+    this._selectIndex(next);
   }
 
   _selectPrevious(event) {
-    if (!this._selectedElement)
+    if (this._selectedIndex === -1)
       return;
     event.preventDefault();
-    let previous = this._selectedElement.previousSibling;
-    if (!previous)
-      previous = this._contentElement.lastChild;
-    this._selectElement(previous);
+    this._pendingSelection = '';
+    let previous = this._selectedIndex;
+    do
+      previous = (previous - 1 + this._rows.length) % this._rows.length;
+    while (!this._rows[previous].selectable);
+    this._selectIndex(previous);
   }
 
-  _selectElement(item, omitScroll) {
-    if (this._selectedElement)
-      this._selectedElement.classList.remove('selected');
-    this._selectedElement = item;
-    if (this._selectedElement) {
-      if (!omitScroll)
-        this._selectedElement.scrollIntoViewIfNeeded(false);
-      this._selectedElement.classList.add('selected');
+  /**
+   * Scrolls the row into view if needed, so that it is rendered.
+   *
+   * @param {number} index
+   */
+  _selectIndex(index) {
+    this._selectedIndex = index;
+    if (index !== -1) {
+      const top = this._rowOffsets[index];
+      const bottom = this._rowOffsets[index + 1];
+      const height = this._contentElement.clientHeight;
+      // Keep group header of the first result in view.
+      if (index === this._rows.findIndex(row => row.selectable))
+        this._contentElement.scrollTop = 0;
+      else if (top < this._contentElement.scrollTop)
+        this._contentElement.scrollTop = top;
+      else if (bottom > this._contentElement.scrollTop + height)
+        this._contentElement.scrollTop = bottom - height;
     }
+    this._renderVisibleRows();
+    this.emit(SearchComponent.Events.StateChanged, this.state());
+  }
+
+  /**
+   * @param {!MouseEvent} event
+   */
+  _onCopyLinkClick(event) {
+    event.preventDefault();
+    app.copyLink().then(copied => {
+      if (!copied)
+        return;
+      this._copyLinkElement.textContent = 'Link copied';
+      setTimeout(() => this._copyLinkElement.textContent = 'Copy link to these results', COPY_LINK_FEEDBACK_TIMEOUT);
+    });
   }
 
   _renderResult(result) {
     const icon = result.item.iconElement();
     const title = result.item.titleElement(result.matches);
-    const subtitle= result.item.subtitleElement();
+    const subtitle = result.item.subtitleElement(result.textMatchTerms);
     const item = html`
       <search-item class=${subtitle ? '' : 'no-subtitle'}>
         ${icon ? html`<search-item-icon>${icon}</search-item-icon>` : ''}
@@ -243,6 +462,28 @@ export class SearchComponent {
     return item;
   }
 
+  /**
+   * @param {!SearchComponent.Provider} provider
+   * @return {!Element}
+   */
+  _renderGroupHeader(provider) {
+    return html`<search-group-header>${provider.title()}</search-group-header>`;
+  }
+
+  /**
+   * @param {string} query
+   * @return {!Element}
+   */
+  _renderRecentQuery(query) {
+    const item = html`
+      <search-item-custom class=search-recent-query>
+        <search-recent-query-label>recent</search-recent-query-label>${query}
+      </search-item-custom>
+    `;
+    item[SearchComponent._recentQuerySymbol] = query;
+    return item;
+  }
+
   _setVisible(visible) {
     if (visible === this._visible)
       return;
@@ -253,20 +494,168 @@ export class SearchComponent {
       document.body.appendChild(this.element);
     } else {
       this.element.remove();
+      this.emit(SearchComponent.Events.StateChanged, null);
     }
   }
 }
 
+/**
+ * @param {?Element} element
+ * @return {boolean}
+ */
+function isTextField(element) {
+  if (!element)
+    return false;
+  return element.tagName === 'INPUT' || element.tagName === 'TEXTAREA' || element.isContentEditable;
+}
+
+SearchComponent.Events = {
+  StateChanged: 'StateChanged',
+};
+
 SearchComponent._symbol = Symbol('SearchComponent._symbol');
+SearchComponent._recentQuerySymbol = Symbol('SearchComponent._recentQuerySymbol');
 
 SearchComponent.Item = class {
   text() {}
 
+  /**
+   * @return {string} - description to search through in addition to text().
+   */
+  fullText() {
+    return '';
+  }
+
+  /**
+   * Facets are matched against query qualifiers, e.g. `kind:event class:Page`.
+   *
+   * @return {!{kind: string, className: string, since: string, deprecated: boolean, area: string}}
+   */
+  facets() {
+    return {kind: '', className: '', since: '', deprecated: false, area: ''};
+  }
+
+  /**
+   * Search runs in a worker, which only gets serialized items.
+   *
+   * @return {!{text: string, fullText: string, facets: !Object}}
+   */
+  serialize() {
+    return {text: this.text(), fullText: this.fullText(), facets: this.facets()};
+  }
+
   url() {}
 
+  /**
+   * Called when the item is picked from search results.
+   */
+  activate() {
+    app.navigateURL(this.url());
+  }
+
   iconElement() { }
 
   titleElement(matches) {}
 
-  subtitleElement() {}
+  /**
+   * @param {!Array<string>} textMatchTerms - full-text query terms that matched the item, if any.
+   */
+  subtitleElement(textMatchTerms) {}
+}
+
+/**
+ * Source of search items, e.g. API entries or README headings.
+ */
+SearchComponent.Provider = class {
+  /**
+   * @param {string} title - header of the provider's group in search results.
+   * @param {function():(!Array<!SearchComponent.Item>|!Promise<!Array<!SearchComponent.Item>>)} itemsCallback
+   * @param {string=} prefix - providers with a prefix serve only queries that start with it, e.g. `>`;
+   *     others serve the rest.
+   */
+  constructor(title, itemsCallback, prefix = '') {
+    this._title = title;
+    this._itemsCallback = itemsCallback;
+    this._prefix = prefix;
+  }
+
+  title() {
+    return this._title;
+  }
+
+  prefix() {
+    return this._prefix;
+  }
+
+  /**
+   * @return {!Array<!SearchComponent.Item>|!Promise<!Array<!SearchComponent.Item>>}
+   */
+  items() {
+    return this._itemsCallback.call(null);
+  }
+}
+
+/**
+ * Command palette entry, searched for with the `>` prefix.
+ */
+SearchComponent.Command = class extends SearchComponent.Item {
+  /**
+   * @param {string} title
+   * @param {function()} action
+   * @param {string=} description
+   */
+  constructor(title, action, description = '') {
+    super();
+    this._title = title;
+    this._action = action;
+    this._description = description;
+  }
+
+  text() {
+    return this._title;
+  }
+
+  url() {
+    return '';
+  }
+
+  activate() {
+    this._action.call(null);
+  }
+
+  iconElement() {
+    return html`<search-command-icon></search-command-icon>`;
+  }
+
+  titleElement(matches) {
+    return renderTextWithMatches(this._title, matches);
+  }
+
+  subtitleElement() {
+    return this._description;
+  }
+}
+
+/**
+ * @param {string} text
+ * @param {!Array<number>} matches - indexes of matched characters, in order.
+ * @return {!DocumentFragment}
+ */
+function renderTextWithMatches(text, matches) {
+  const fragment = document.createDocumentFragment();
+  let offset = 0;
+  for (let i = 0; i < matches.length; ++i) {
+    // Consecutive matches share a highlight.
+    let end = i;
+    while (end + 1 < matches.length && matches[end + 1] === matches[end] + 1)
+      ++end;
+    fragment.appendChild(document.createTextNode(text.substring(offset, matches[i])));
+    const highlight = document.createElement('search-highlight');
+    highlight.textContent = text.substring(matches[i], matches[end] + 1);
+    fragment.appendChild(highlight);
+    offset = matches[end] + 1;
+    i = end;
+  }
+  fragment.appendChild(document.createTextNode(text.substring(offset)));
+  return fragment;
 }
@@ -0,0 +1,336 @@
+/**
+ * Copyright 2018 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the 'License');
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an 'AS IS' BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {FuzzySearch} from './FuzzySearch.js';
+import {FullTextIndex} from './FullTextIndex.js';
+
+// Weight of full-text relevance, per query character, relative to fuzzy name score.
+const TEXT_RELEVANCE_WEIGHT = 10;
+// Number of items to score before checking for cancellation.
+const SCORE_CHUNK_SIZE = 500;
+// Score bonus of frequently opened entries, per doubling of visits.
+const VISIT_WEIGHT = 8;
+
+/**
+ * @typedef {{kind: string, className: string, since: string, deprecated: boolean, area: string}} ItemFacets
+ * @typedef {{text: string, fullText: string, facets: !ItemFacets}} SerializedItem
+ * @typedef {{key: string, index: number, score: number, matches: !Array<number>, textMatchTerms: !Array<string>}} SearchResult
+ */
+
+const KIND_ALIASES = new Map([
+  ['ns', 'namespace'],
+  ['events', 'event'],
+  ['methods', 'method'],
+  ['classes', 'class'],
+]);
+
+/**
+ * Query qualifiers, e.g. `kind:event class:Page since:>v2`.
+ * @type {!Map<string, function(!ItemFacets, string):boolean>}
+ */
+const QUALIFIERS = new Map([
+  ['kind', (facets, value) => facets.kind === (KIND_ALIASES.get(value) || value)],
+  ['class', (facets, value) => facets.className.toLowerCase() === value],
+  ['since', (facets, value) => matchesVersion(facets.since, value)],
+  ['deprecated', (facets, value) => facets.deprecated === (value === 'true' || value === 'yes')],
+  ['in', (facets, value) => facets.area === value],
+]);
+
+/**
+ * Qualifiers with malformed values, e.g. `since:foo`, are searched for as plain text.
+ * @type {!Map<string, function(string):boolean>}
+ */
+const QUALIFIER_VALUE_CHECKS = new Map([
+  ['since', value => !!parseVersionCondition(value)],
+  ['deprecated', value => ['true', 'yes', 'false', 'no'].includes(value)],
+]);
+
+/**
+ * Scores serialized search items. Runs in the search worker or,
+ * if workers are not available, on the main thread.
+ */
+export class SearchEngine {
+  /**
+   * Splits query into qualifiers and the text to fuzzy match.
+   * Unknown qualifiers and qualifiers with malformed values are left in the text.
+   *
+   * @param {string} query
+   * @return {!{text: string, filters: !Array<!{name: string, value: string}>}}
+   */
+  static parseQuery(query) {
+    const words = [];
+    const filters = [];
+    for (const word of query.split(/\s+/)) {
+      const match = word.match(/^(\w+):(.+)$/);
+      const name = match ? match[1].toLowerCase() : '';
+      const value = match ? match[2].toLowerCase() : '';
+      const isValid = QUALIFIERS.has(name) && (!QUALIFIER_VALUE_CHECKS.has(name) || QUALIFIER_VALUE_CHECKS.get(name)(value));
+      if (isValid)
+        filters.push({name, value});
+      else if (word)
+        words.push(word);
+    }
+    return {text: words.join(' '), filters};
+  }
+
+  constructor() {
+    /** @type {!Map<string, !{items: !Array<!SerializedItem>, fullTextIndex: !FullTextIndex}>} */
+    this._itemSets = new Map();
+    /** @type {!Map<string, number>} */
+    this._visitCounts = new Map();
+  }
+
+  /**
+   * @param {!Map<string, number>} visitCounts - item text to number of times it was opened.
+   */
+  setVisitCounts(visitCounts) {
+    this._visitCounts = visitCounts;
+  }
+
+  /**
+   * @param {string} key
+   * @param {!Array<!SerializedItem>} items
+   */
+  setItems(key, items) {
+    const fullTextIndex = new FullTextIndex();
+    items.forEach((item, index) => {
+      if (item.fullText)
+        fullTextIndex.addItem(index, item.fullText);
+    });
+    this._itemSets.set(key, {items, fullTextIndex});
+  }
+
+  /**
+   * @param {!Array<string>} keys - item sets to search through.
+   * @param {string} query
+   * @param {function():boolean} isCancelled - polled while scoring.
+   * @return {!Promise<?Array<!SearchResult>>} - sorted results, or null if cancelled.
+   */
+  async search(keys, query, isCancelled) {
+    const itemSets = keys.filter(key => this._itemSets.has(key)).map(key => {
+      const {items, fullTextIndex} = this._itemSets.get(key);
+      return {key, items, fullTextIndex};
+    });
+    const {text, filters} = SearchEngine.parseQuery(query);
+    const matchesFilters = item => filters.every(({name, value}) => QUALIFIERS.get(name)(item.facets, value));
+    const visitCount = item => this._visitCounts.get(item.text) || 0;
+    const results = [];
+    if (!text) {
+      // Frequently opened entries go first.
+      for (const {key, items} of itemSets) {
+        items.forEach((item, index) => {
+          if (matchesFilters(item))
+            results.push({key, index, score: visitCount(item), matches: [], textMatchTerms: []});
+        });
+      }
+      return results.sort((a, b) => b.score - a.score);
+    }
+
+    const fuzzySearch = new FuzzySearch(text);
+    let scoredCount = 0;
+    for (const {key, items, fullTextIndex} of itemSets) {
+      const textMatches = fullTextIndex.search(text);
+      for (let index = 0; index < items.length; ++index) {
+        if (++scoredCount % SCORE_CHUNK_SIZE === 0) {
+          // Let newer requests arrive.
+          await new Promise(resolve => setTimeout(resolve, 0));
+          if (isCancelled())
+            return null;
+        }
+        if (!matchesFilters(items[index]))
+          continue;
+        const matches = [];
+        let score = fuzzySearch.score(items[index].text, matches);
+        const textMatch = textMatches.get(index);
+        if (textMatch)
+          score += textMatch.relevance * text.length * TEXT_RELEVANCE_WEIGHT;
+        if (score !== 0) {
+          score += Math.log2(1 + visitCount(items[index])) * VISIT_WEIGHT;
+          results.push({key, index, score, matches, textMatchTerms: textMatch ? textMatch.terms : []});
+        }
+      }
+    }
+    const textLength = result => this._itemSets.get(result.key).items[result.index].text.length;
+    results.sort((a, b) => {
+      const scoreDiff = b.score - a.score;
+      if (scoreDiff)
+        return scoreDiff;
+      // Prefer left-most search results; full-text only matches go last.
+      const startDiff = (a.matches.length ? a.matches[0] : Infinity) - (b.matches.length ? b.matches[0] : Infinity);
+      if (startDiff)
+        return startDiff;
+      return textLength(a) - textLength(b);
+    });
+    return results;
+  }
+}
+
+/**
+ * Talks to SearchEngine in a worker. Every search supersedes the previous one:
+ * its promise resolves with null and the worker stops scoring it.
+ */
+export class SearchEngineProxy {
+  /**
+   * @param {string} workerURL
+   */
+  constructor(workerURL) {
+    // Item sets are kept to replay them if worker fails.
+    this._itemSets = new Map();
+    this._visitCounts = new Map();
+    this._lastRequestId = 0;
+    this._pendingRequest = null;
+    this._engine = null;
+    this._worker = null;
+    try {
+      this._worker = new Worker(workerURL, {type: 'module'});
+      this._worker.addEventListener('message', event => this._onResults(event.data), false);
+      this._worker.addEventListener('error', () => this._fallbackToMainThread(), false);
+    } catch (e) {
+      this._fallbackToMainThread();
+    }
+  }
+
+  /**
+   * @param {string} key
+   * @param {!Array<!SerializedItem>} items
+   */
+  setItems(key, items) {
+    this._itemSets.set(key, items);
+    if (this._engine)
+      this._engine.setItems(key, items);
+    else
+      this._worker.postMessage({type: 'setItems', key, items});
+  }
+
+  /**
+   * @param {!Map<string, number>} visitCounts
+   */
+  setVisitCounts(visitCounts) {
+    this._visitCounts = visitCounts;
+    if (this._engine)
+      this._engine.setVisitCounts(visitCounts);
+    else
+      this._worker.postMessage({type: 'setVisitCounts', visitCounts});
+  }
+
+  /**
+   * @param {!Array<string>} keys
+   * @param {string} query
+   * @return {!Promise<?Array<!SearchResult>>}
+   */
+  search(keys, query) {
+    this.cancel();
+    const requestId = ++this._lastRequestId;
+    return new Promise(resolve => {
+      this._pendingRequest = {requestId, keys, query, resolve};
+      if (this._engine)
+        this._searchOnMainThread(this._pendingRequest);
+      else
+        this._worker.postMessage({type: 'search', requestId, keys, query});
+    });
+  }
+
+  cancel() {
+    if (!this._pendingRequest)
+      return;
+    this._pendingRequest.resolve(null);
+    this._pendingRequest = null;
+    if (this._worker && !this._engine)
+      this._worker.postMessage({type: 'cancel'});
+  }
+
+  /**
+   * @param {!{requestId: number, results: !Array<!SearchResult>}} data
+   */
+  _onResults({requestId, results}) {
+    if (!this._pendingRequest || this._pendingRequest.requestId !== requestId)
+      return;
+    this._pendingRequest.resolve(results);
+    this._pendingRequest = null;
+  }
+
+  async _searchOnMainThread(request) {
+    const isCancelled = () => this._pendingRequest !== request;
+    const results = await this._engine.search(request.keys, request.query, isCancelled);
+    if (results && !isCancelled())
+      this._onResults({requestId: request.requestId, results});
+  }
+
+  _fallbackToMainThread() {
+    if (this._engine)
+      return;
+    console.error('Search worker failed to start; searching on the main thread.');
+    if (this._worker)
+      this._worker.terminate();
+    this._worker = null;
+    this._engine = new SearchEngine();
+    this._engine.setVisitCounts(this._visitCounts);
+    for (const [key, items] of this._itemSets)
+      this._engine.setItems(key, items);
+    if (this._pendingRequest)
+      this._searchOnMainThread(this._pendingRequest);
+  }
+}
+
+/**
+ * @param {string} version - e.g. `v1.5.0`.
+ * @param {string} condition - version with optional comparison, e.g. `>v2` or `<=1.5`.
+ * @return {boolean}
+ */
+function matchesVersion(version, condition) {
+  const versionCondition = parseVersionCondition(condition);
+  const versionNumbers = parseVersion(version);
+  if (!versionNumbers || !versionCondition)
+    return false;
+  const {operator, numbers: conditionNumbers} = versionCondition;
+  let diff = 0;
+  for (let i = 0; i < 3 && !diff; ++i)
+    diff = versionNumbers[i] - conditionNumbers[i];
+  if (operator === '>')
+    return diff > 0;
+  if (operator === '<')
+    return diff < 0;
+  if (operator === '<=')
+    return diff <= 0;
+  if (operator === '=')
+    return diff === 0;
+  return diff >= 0;
+}
+
+/**
+ * @param {string} condition - e.g. `>v2.1`; versions without operator mean `>=`.
+ * @return {?{operator: string, numbers: !Array<number>}}
+ */
+function parseVersionCondition(condition) {
+  const match = condition.match(/^(>=|<=|>|<|=)?(.+)$/);
+  const numbers = match ? parseVersion(match[2]) : null;
+  if (!numbers)
+    return null;
+  return {operator: match[1] || '>=', numbers};
+}
+
+/**
+ * Missing components are zeros: `v2` is `v2.0.0`.
+ *
+ * @param {string} version
+ * @return {?Array<number>}
+ */
+function parseVersion(version) {
+  const match = (version || '').match(/^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?$/);
+  if (!match)
+    return null;
+  return [1, 2, 3].map(i => parseInt(match[i] || '0', 10));
+}
@@ -0,0 +1,101 @@
+/**
+ * Copyright 2018 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the 'License');
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an 'AS IS' BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {Store as IDBStore, get as idbGet, set as idbSet} from '../third_party/idb-keyval.mjs';
+
+const HISTORY_KEY = 'search-history';
+const MAX_RECENT_QUERIES = 5;
+// Least recently opened entries are forgotten first.
+const MAX_VISITED_ENTRIES = 200;
+
+/**
+ * Recent search queries and how often search results were opened.
+ * Entries are identified by their search text, so that visits
+ * count across versions.
+ */
+export class SearchHistory {
+  constructor() {
+    /** @type {!Array<string>} */
+    this._recentQueries = [];
+    /** @type {!Map<string, !{count: number, timestamp: number}>} */
+    this._visits = new Map();
+    // History is kept in memory only if IndexedDB is not available,
+    // e.g. in Firefox private browsing mode.
+    this._idbStore = window.indexedDB ? new IDBStore('search-db', 'search-store') : null;
+  }
+
+  async load() {
+    if (!this._idbStore)
+      return;
+    let data = null;
+    try {
+      data = await idbGet(HISTORY_KEY, this._idbStore);
+    } catch (e) {
+      this._idbStore = null;
+      return;
+    }
+    if (!data)
+      return;
+    this._recentQueries = data.recentQueries;
+    this._visits = new Map(data.visits);
+  }
+
+  /**
+   * @return {!Array<string>} - most recent first.
+   */
+  recentQueries() {
+    return this._recentQueries;
+  }
+
+  /**
+   * @return {!Map<string, number>} - entry text to number of visits.
+   */
+  visitCounts() {
+    const visitCounts = new Map();
+    for (const [text, {count}] of this._visits)
+      visitCounts.set(text, count);
+    return visitCounts;
+  }
+
+  /**
+   * @param {string} query - query that the entry was found with, if any.
+   * @param {string} text - search text of the opened entry.
+   */
+  addVisit(query, text) {
+    if (query) {
+      this._recentQueries = [query, ...this._recentQueries.filter(recentQuery => recentQuery !== query)];
+      this._recentQueries = this._recentQueries.slice(0, MAX_RECENT_QUERIES);
+    }
+    const visit = this._visits.get(text) || {count: 0, timestamp: 0};
+    this._visits.set(text, {count: visit.count + 1, timestamp: Date.now()});
+    if (this._visits.size > MAX_VISITED_ENTRIES) {
+      const visits = Array.from(this._visits).sort((a, b) => b[1].timestamp - a[1].timestamp);
+      this._visits = new Map(visits.slice(0, MAX_VISITED_ENTRIES));
+    }
+    this._save();
+  }
+
+  async _save() {
+    if (!this._idbStore)
+      return;
+    const data = {recentQueries: this._recentQueries, visits: Array.from(this._visits)};
+    try {
+      await idbSet(HISTORY_KEY, data, this._idbStore);
+    } catch (e) {
+      console.error('Failed to save search history: ' + e);
+    }
+  }
+}
@@ -0,0 +1,38 @@
+/**
+ * Copyright 2018 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the 'License');
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an 'AS IS' BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Entry point of the search worker; see SearchEngineProxy.
+import {SearchEngine} from './SearchEngine.js';
+
+const engine = new SearchEngine();
+// Every search or cancel message supersedes the search in progress.
+let generation = 0;
+
+self.addEventListener('message', async event => {
+  const message = event.data;
+  if (message.type === 'setItems') {
+    engine.setItems(message.key, message.items);
+  } else if (message.type === 'setVisitCounts') {
+    engine.setVisitCounts(message.visitCounts);
+  } else if (message.type === 'cancel') {
+    ++generation;
+  } else if (message.type === 'search') {
+    const messageGeneration = ++generation;
+    const results = await engine.search(message.keys, message.query, () => generation !== messageGeneration);
+    if (results)
+      self.postMessage({requestId: message.requestId, results});
+  }
+}, false);
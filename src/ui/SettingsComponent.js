@@ -45,8 +45,9 @@ export class SettingsComponent extends EventEmitter {
   show(product, version) {
     const renderVersion = (description) => {
       const selected = description.name === version.name();
+      const className = description.unavailable ? 'unavailable' : selected ? 'selected' : '';
       const item = html`
-        <product-version class=${selected ? 'selected' : ''}>
+        <product-version class=${className}>
           <version-name>${description.name}</version-name>
           <version-description>${description.description}</version-description>
           <version-date>${formatDate(description.date)}</version-date>
@@ -64,7 +65,6 @@ export class SettingsComponent extends EventEmitter {
           <img class=settings-close-icon src='./images/close.svg'></img>
         </settings-header>
         <product-versions>
-          <small>Versions later than 15.2.0 are not compatible with this site.</small>
           ${product.versionDescriptions().map(renderVersion)}
         </product-versions>
         ${product.settingsFooterElement()}
@@ -91,7 +91,8 @@ export class SettingsComponent extends EventEmitter {
       let item = event.target;
       while (item && item.tagName !== 'PRODUCT-VERSION')
         item = item.parentElement;
-      if (!item)
+      // Versions that failed to download can't be shown.
+      if (!item || item.classList.contains('unavailable'))
         return;
       this._selectItem(item);
       const {product, versionName} = item[SettingsComponent._Symbol];
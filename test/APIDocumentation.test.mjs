@@ -0,0 +1,92 @@
+/**
+ * Copyright 2018 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the 'License');
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an 'AS IS' BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+
+// Bundled CodeMirror and commonmark register themselves on window.
+globalThis.window = globalThis;
+const {APIDocumentation} = await import('../src/pptr/APIDocumentation.js');
+
+/**
+ * Documentation with entries stubbed, enough to assign ids without rendering api.md.
+ *
+ * @return {!APIDocumentation}
+ */
+function createDocumentation() {
+  const api = new APIDocumentation('v1.20.0');
+  api.sections = [{name: 'Overview'}, {name: 'Release Notes'}];
+  api.classes = [{
+    name: 'Page',
+    loweredName: 'page',
+    events: [{name: 'console'}, {name: 'close'}],
+    methods: [{name: 'goto', args: 'url[, options]'}, {name: '$$eval', args: 'selector, pageFunction[, ...args]'}],
+    namespaces: [{name: 'keyboard'}],
+  }];
+  api._initializeContentIds();
+  return api;
+}
+
+describe('APIDocumentation', () => {
+  it('should parse symbol ids and content ids', () => {
+    const console = {className: 'Page', memberName: 'console', isEvent: true, symbolId: 'Page.on:console', contentId: 'Page/on/console'};
+    assert.deepEqual(APIDocumentation.parseSymbol('Page.on:console'), console);
+    assert.deepEqual(APIDocumentation.parseSymbol('Page/on/console'), console);
+    const goto = {className: 'Page', memberName: 'goto', isEvent: false, symbolId: 'Page.goto', contentId: 'Page/goto'};
+    assert.deepEqual(APIDocumentation.parseSymbol('Page.goto'), goto);
+    assert.deepEqual(APIDocumentation.parseSymbol('Page/goto'), goto);
+    assert.deepEqual(APIDocumentation.parseSymbol('Page'), {className: 'Page', memberName: '', isEvent: false, symbolId: 'Page', contentId: 'Page'});
+    assert.equal(APIDocumentation.parseSymbol('Page/$$eval').symbolId, 'Page.$$eval');
+  });
+
+  it('should not parse ids of other content', () => {
+    for (const id of ['release-notes', 'outline', 'api-class-page', 'Page/goto/extra', ''])
+      assert.equal(APIDocumentation.parseSymbol(id), null, id);
+  });
+
+  it('should round-trip symbol ids through content ids', () => {
+    for (const [kind, name] of [['class', 'Page'], ['event', 'console'], ['method', 'goto'], ['namespace', 'keyboard']]) {
+      const symbolId = APIDocumentation.symbolId(kind, 'Page', name);
+      const contentId = APIDocumentation.entryContentId(kind, 'Page', name);
+      assert.equal(APIDocumentation.parseSymbol(symbolId).contentId, contentId);
+      assert.equal(APIDocumentation.parseSymbol(contentId).symbolId, symbolId);
+    }
+  });
+
+  it('should find entries by content id and symbol id', () => {
+    const api = createDocumentation();
+    const [page] = api.classes;
+    assert.equal(api.idToEntry('Page'), page);
+    assert.equal(api.idToEntry('Page/on/console'), page.events[0]);
+    assert.equal(api.idToEntry('Page.on:console'), page.events[0]);
+    assert.equal(api.idToEntry('Page.$$eval'), page.methods[1]);
+    assert.equal(api.idToEntry('release-notes'), api.sections[1]);
+    assert.equal(api.idToEntry('Page/on/unknown'), null);
+  });
+
+  it('should find entries by ids of legacy hash URLs', () => {
+    const api = createDocumentation();
+    const [page] = api.classes;
+    assert.equal(api.idToEntry('api-class-page'), page);
+    assert.equal(api.idToEntry('api-event-console'), page.events[0]);
+    assert.equal(api.idToEntry('api-pagegotourl-options'), page.methods[0]);
+    assert.equal(api.idToEntry('api-pageevalselector-pagefunction-args'), page.methods[1]);
+    assert.equal(api.idToEntry('api-pagekeyboard'), page.namespaces[0]);
+    assert.equal(api.idToEntry('api-overview'), api.sections[0]);
+    // Legacy ids resolve to the entries' content ids, that URLs are migrated to.
+    assert.equal(api.idToEntry('api-event-console').contentId, 'Page/on/console');
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Copyright 2018 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the 'License');
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an 'AS IS' BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+import {FullTextIndex} from '../src/ui/FullTextIndex.js';
+
+/**
+ * @param {!Object<string, string>} texts - item to its text.
+ * @return {!FullTextIndex}
+ */
+function createIndex(texts) {
+  const index = new FullTextIndex();
+  for (const [item, text] of Object.entries(texts))
+    index.addItem(item, text);
+  return index;
+}
+
+describe('FullTextIndex', () => {
+  describe('tokenize', () => {
+    it('should lower-case and stem words', () => {
+      assert.deepEqual(FullTextIndex.tokenize('Intercepts requests'), ['intercept', 'request']);
+      assert.deepEqual(FullTextIndex.tokenize('request interception'), ['request', 'intercept']);
+    });
+
+    it('should split identifiers and keep them whole', () => {
+      assert.deepEqual(FullTextIndex.tokenize('page.setRequestInterception(value)'), [
+        'page', 'setrequestinterception', 'set', 'request', 'intercept', 'value',
+      ]);
+    });
+
+    it('should drop stop words', () => {
+      assert.deepEqual(FullTextIndex.tokenize('Waits for the selector to appear in the page'), ['wait', 'selector', 'appear', 'page']);
+      assert.deepEqual(FullTextIndex.tokenize('the and of'), []);
+    });
+
+    it('should not stem short words', () => {
+      assert.deepEqual(FullTextIndex.tokenize('bus goes ring'), ['bus', 'goe', 'ring']);
+    });
+  });
+
+  describe('search', () => {
+    const index = createIndex({
+      setRequestInterception: 'Activating request interception enables request.abort, request.continue and request.respond methods.',
+      waitForSelector: 'Wait for the selector to appear in page.',
+      click: 'This method fetches an element with selector, scrolls it into view and clicks in the center of the element.',
+      authenticate: 'Provide credentials for HTTP authentication.',
+    });
+
+    it('should match stemmed words by prefix', () => {
+      const results = index.search('intercepting requests');
+      assert.deepEqual([...results.keys()], ['setRequestInterception']);
+      assert.deepEqual(results.get('setRequestInterception').terms, ['intercept', 'request']);
+      assert.deepEqual([...index.search('authent').keys()], ['authenticate']);
+    });
+
+    it('should match items that have every query term', () => {
+      assert.deepEqual([...index.search('selector').keys()].sort(), ['click', 'waitForSelector']);
+      assert.deepEqual([...index.search('selector element').keys()], ['click']);
+      assert.equal(index.search('selector request').size, 0);
+    });
+
+    it('should rank items by relevance of every term', () => {
+      const results = createIndex({
+        once: 'Emitted when a request is issued by the page.',
+        often: 'Page request interception allows to abort the request, continue the request or respond to the request.',
+        pageOnly: 'Emitted when the page crashes.',
+        requestOnly: 'Request is aborted.',
+      }).search('page request');
+      assert.deepEqual([...results.keys()].sort(), ['often', 'once']);
+      assert.equal(results.get('often').relevance, 1);
+      assert.ok(results.get('once').relevance < 1);
+    });
+
+    it('should ignore stop words and too short terms in queries', () => {
+      assert.deepEqual([...index.search('the authentication').keys()], ['authenticate']);
+      assert.equal(index.search('the of').size, 0);
+      assert.equal(index.search('a').size, 0);
+    });
+  });
+
+  describe('snippet', () => {
+    it('should highlight matching words', () => {
+      const text = 'Activating request interception enables request.abort.';
+      const snippet = FullTextIndex.snippet(text, ['intercept']);
+      assert.equal(snippet.text, text);
+      assert.deepEqual(snippet.highlights.map(({from, to}) => snippet.text.substring(from, to)), ['interception']);
+    });
+
+    it('should return null without matches', () => {
+      assert.equal(FullTextIndex.snippet('Emitted when the page crashes.', ['request']), null);
+    });
+  });
+});
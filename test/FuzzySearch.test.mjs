@@ -0,0 +1,82 @@
+/**
+ * Copyright 2018 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the 'License');
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an 'AS IS' BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+import {FuzzySearch} from '../src/ui/FuzzySearch.js';
+
+/**
+ * @param {string} query
+ * @param {string} data
+ * @return {{score: number, matchIndexes: !Array<number>}}
+ */
+function match(query, data) {
+  const matchIndexes = [];
+  const score = new FuzzySearch(query).score(data, matchIndexes);
+  return {score, matchIndexes};
+}
+
+describe('FuzzySearch', () => {
+  it('should match subsequences', () => {
+    const {score, matchIndexes} = match('goto', 'page.goto');
+    assert.ok(score > 0);
+    assert.deepEqual(matchIndexes, [5, 6, 7, 8]);
+  });
+
+  it('should not match unrelated data', () => {
+    assert.equal(match('goto', 'page.click').score, 0);
+    // Short queries don't tolerate typos.
+    assert.equal(match('gt', 'page.go').score, 0);
+  });
+
+  it('should tolerate transposed characters', () => {
+    const {score, matchIndexes} = match('page.gtoo', 'page.goto');
+    assert.ok(score > 0);
+    assert.deepEqual(matchIndexes, [0, 1, 2, 3, 4, 5, 6, 7, 8]);
+  });
+
+  it('should tolerate typos in camelCase names', () => {
+    const {score, matchIndexes} = match('wiatFor', 'waitFor');
+    assert.ok(score > 0);
+    assert.deepEqual(matchIndexes, [0, 1, 2, 3, 4, 5, 6]);
+  });
+
+  it('should rank subsequence matches above matches with typos', () => {
+    const pairs = [
+      ['page.gtoo', 'page.getTouchscreenOptions', 'page.goto'],
+      ['wiatFor', 'webSocketsInAllTabsFor', 'waitFor'],
+      ['elementHnadle', 'elementHandleOrNullAndElse', 'elementHandle'],
+    ];
+    for (const [query, subsequence, typo] of pairs) {
+      const subsequenceScore = match(query, subsequence).score;
+      const typoScore = match(query, typo).score;
+      assert.ok(typoScore > 0, `${query} should match ${typo}`);
+      assert.ok(subsequenceScore > typoScore, `${query}: ${subsequence} should rank above ${typo}`);
+    }
+  });
+
+  it('should match camelCase abbreviations', () => {
+    const {score, matchIndexes} = match('wfs', 'waitForSelector');
+    assert.ok(score > 0);
+    assert.deepEqual(matchIndexes, [0, 4, 7]);
+    assert.ok(score > match('wfs', 'waitFor').score);
+    assert.ok(score > match('wfs', 'waitForFunction').score);
+  });
+
+  it('should rank camelCase humps above other letters', () => {
+    assert.ok(match('wff', 'waitForFunction').score > match('wff', 'waitForfunction').score);
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Copyright 2018 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the 'License');
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an 'AS IS' BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+import {ReleaseStorage} from '../src/pptr/ReleaseStorage.js';
+
+/**
+ * In-memory stand-in for idb-keyval's Store; values are cloned like IndexedDB does.
+ */
+class FakeIDBStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  _withIDBStore(type, callback) {
+    const records = this.records;
+    callback({
+      get(key) {
+        return {result: records.has(key) ? structuredClone(records.get(key)) : undefined};
+      },
+      put(value, key) {
+        records.set(key, structuredClone(value));
+      },
+      delete(key) {
+        records.delete(key);
+      },
+    });
+    return Promise.resolve();
+  }
+}
+
+/**
+ * @param {!Object<string, *>} records
+ * @return {!{storage: !ReleaseStorage, idbStore: !FakeIDBStore}}
+ */
+function createStorage(records) {
+  const idbStore = new FakeIDBStore();
+  for (const [key, value] of Object.entries(records))
+    idbStore.records.set(key, value);
+  return {storage: new ReleaseStorage(idbStore), idbStore};
+}
+
+/**
+ * @param {string} name
+ * @param {*} outline - stored outline record.
+ * @return {!Object<string, *>}
+ */
+function releaseRecords(name, outline) {
+  const records = {
+    [`pptr-release:${name}`]: {name, tagName: name, releaseNotes: 'Notes', chromiumVersion: 'Chromium 77.0.3844.0 (r674921)', etag: 'etag', apiFetchTimestamp: 1},
+    [`pptr-api:${name}`]: {apiText: '# API'},
+  };
+  if (outline)
+    records[`pptr-outline:${name}`] = outline;
+  return records;
+}
+
+const INDEX = {fetchTimestamp: 1, readmeText: '# README', releaseNames: ['v2.0.0', 'v1.20.0', 'v1.19.0', 'v1.18.0']};
+const OUTLINE = new Map([['Page', {since: 'v1.18.0'}]]);
+
+describe('ReleaseStorage', () => {
+  it('should migrate data stored in a single record', async () => {
+    const legacyData = {
+      fetchTimestamp: 42,
+      readmeText: '# README',
+      releases: [
+        {name: 'v1.20.0', tagName: 'v1.20.0', releaseNotes: 'Notes', chromiumVersion: 'N/A', apiText: '# API v1.20.0'},
+        {name: 'v1.19.0', tagName: 'v1.19.0', releaseNotes: 'Notes', chromiumVersion: 'N/A', apiText: '# API v1.19.0'},
+      ],
+    };
+    const {storage, idbStore} = createStorage({'pptr-api-data': legacyData});
+    const data = await storage.load();
+    assert.equal(data.fetchTimestamp, 42);
+    assert.equal(data.readmeText, '# README');
+    assert.deepEqual(data.releases.map(release => [release.name, release.apiText, release.apiFetchTimestamp]), [
+      ['v1.20.0', '# API v1.20.0', 42],
+      ['v1.19.0', '# API v1.19.0', 42],
+    ]);
+    assert.deepEqual(data.corruptedReleaseNames, []);
+
+    assert.ok(!idbStore.records.has('pptr-api-data'));
+    assert.deepEqual(idbStore.records.get('pptr-api-index').releaseNames, ['v1.20.0', 'v1.19.0']);
+    const reloaded = await storage.load();
+    assert.deepEqual(reloaded.releases.map(release => [release.name, release.apiText]), [
+      ['v1.20.0', '# API v1.20.0'],
+      ['v1.19.0', '# API v1.19.0'],
+    ]);
+  });
+
+  it('should load nothing without stored data', async () => {
+    const {storage} = createStorage({});
+    assert.equal(await storage.load(), null);
+  });
+
+  it('should discard outlines of other formats', async () => {
+    const {storage} = createStorage({
+      'pptr-api-index': INDEX,
+      ...releaseRecords('v2.0.0', {formatVersion: 3, classesOutline: OUTLINE}),
+      ...releaseRecords('v1.20.0', {formatVersion: 2, classesOutline: OUTLINE}),
+      ...releaseRecords('v1.19.0', {classesOutline: OUTLINE}),
+      ...releaseRecords('v1.18.0', {formatVersion: 3, classesOutline: {Page: {since: 'v1.18.0'}}}),
+    });
+    const data = await storage.load();
+    assert.deepEqual(data.releases.map(release => release.name), INDEX.releaseNames);
+    assert.deepEqual(data.releases[0].classesOutline, OUTLINE);
+    // Releases are kept; their outlines get re-parsed from api.md.
+    for (const release of data.releases.slice(1)) {
+      assert.equal(release.classesOutline, undefined);
+      assert.equal(release.apiText, '# API');
+    }
+  });
+
+  it('should report releases with missing records', async () => {
+    const records = {
+      'pptr-api-index': INDEX,
+      ...releaseRecords('v2.0.0', null),
+      ...releaseRecords('v1.20.0', null),
+      ...releaseRecords('v1.19.0', null),
+      'pptr-release:v1.18.0': {name: 'v1.18.0'},
+    };
+    delete records['pptr-api:v1.20.0'];
+    records['pptr-release:v1.19.0'] = {name: 'v1.17.0'};
+    const {storage} = createStorage(records);
+    const data = await storage.load();
+    assert.deepEqual(data.releases.map(release => release.name), ['v2.0.0']);
+    assert.deepEqual(data.corruptedReleaseNames.sort(), ['v1.18.0', 'v1.19.0', 'v1.20.0']);
+  });
+
+  it('should save outlines in the current format', async () => {
+    const {storage, idbStore} = createStorage({});
+    const release = {name: 'v2.0.0', tagName: 'v2.0.0', releaseNotes: 'Notes', chromiumVersion: 'N/A', apiText: '# API', classesOutline: OUTLINE};
+    const names = new Set(['v2.0.0']);
+    await storage.save({fetchTimestamp: 1, readmeText: '', releases: [release], changedReleaseNames: names, changedAPINames: names});
+    assert.equal(idbStore.records.get('pptr-outline:v2.0.0').formatVersion, 3);
+    const data = await storage.load();
+    assert.deepEqual(data.releases[0].classesOutline, OUTLINE);
+  });
+});
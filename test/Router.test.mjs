@@ -0,0 +1,101 @@
+/**
+ * Copyright 2018 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the 'License');
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an 'AS IS' BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+import {Router} from '../src/ui/Router.js';
+
+/**
+ * @param {string} url - path, e.g. `/v1.20.0/Page`, or full URL.
+ * @return {!{versionName: string, contentId: string, parameters: !Object<string, string>, isLegacy: boolean}}
+ */
+function parse(url) {
+  const route = Router.parse(new URL(url, 'https://pptr.dev'));
+  return {...route, parameters: Object.fromEntries(route.parameters)};
+}
+
+describe('Router', () => {
+  it('should parse paths', () => {
+    assert.deepEqual(parse('/v1.20.0/Page/goto?heading=example'), {
+      versionName: 'v1.20.0',
+      contentId: 'Page/goto',
+      parameters: {heading: 'example'},
+      isLegacy: false,
+    });
+    assert.deepEqual(parse('/'), {versionName: '', contentId: '', parameters: {}, isLegacy: false});
+    assert.deepEqual(parse('/v1.20.0/'), {versionName: 'v1.20.0', contentId: '', parameters: {}, isLegacy: false});
+  });
+
+  it('should round-trip routes', () => {
+    const routes = [
+      ['v1.20.0', '', {}],
+      ['v1.20.0', 'Page', {}],
+      ['v1.20.0', 'Page/goto', {heading: 'example'}],
+      ['v1.20.0', 'Page/on/console', {}],
+      ['v1.20.0', 'Page/$$eval', {}],
+      ['v1.20.0', 'ElementHandle/$x', {}],
+      ['v1.20.0', 'Page.on:console', {}],
+      ['v1.20.0', 'release-notes', {q: 'page goto'}],
+      ['v1.20.0', 'Page/a b%c?d#e', {}],
+    ];
+    for (const [versionName, contentId, parameters] of routes) {
+      const url = Router.url(versionName, contentId, parameters);
+      assert.deepEqual(parse(url), {versionName, contentId, parameters, isLegacy: false}, url);
+    }
+  });
+
+  it('should keep method names readable', () => {
+    assert.equal(Router.url('v1.20.0', 'Page/$$eval'), '/v1.20.0/Page/$$eval');
+    assert.equal(Router.url('v1.20.0', 'Page.on:console'), '/v1.20.0/Page.on:console');
+    assert.equal(Router.url('v1.20.0', 'Page/a b?'), '/v1.20.0/Page/a%20b%3F');
+  });
+
+  it('should leave malformed escapes as typed', () => {
+    assert.equal(parse('/v1.20.0/Page/%E0%A4%A').contentId, 'Page/%E0%A4%A');
+  });
+
+  it('should ignore content id without version', () => {
+    assert.equal(Router.url('', 'Page'), '/');
+    assert.equal(Router.url('', '', {q: 'goto'}), '/?q=goto');
+  });
+
+  it('should route file paths to the default version', () => {
+    assert.deepEqual(parse('/index.html?q=goto'), {versionName: '', contentId: '', parameters: {q: 'goto'}, isLegacy: false});
+    assert.equal(parse('/404.html').versionName, '');
+  });
+
+  it('should parse legacy hash URLs', () => {
+    assert.deepEqual(parse('/#?product=Puppeteer&version=v1.20.0&show=api-class-page'), {
+      versionName: 'v1.20.0',
+      contentId: 'api-class-page',
+      parameters: {},
+      isLegacy: true,
+    });
+    assert.deepEqual(parse('/#?product=Puppeteer&show=outline&heading=x'), {
+      versionName: '',
+      contentId: 'outline',
+      parameters: {heading: 'x'},
+      isLegacy: true,
+    });
+  });
+
+  it('should migrate legacy hash URLs to paths', () => {
+    const {versionName, contentId, parameters} = parse('/#?product=Puppeteer&version=v1.20.0&show=Page/on/console&heading=x');
+    const url = Router.url(versionName, contentId, parameters);
+    assert.equal(url, '/v1.20.0/Page/on/console?heading=x');
+    assert.deepEqual(parse(url), {versionName, contentId, parameters, isLegacy: false});
+  });
+});
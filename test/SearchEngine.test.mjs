@@ -0,0 +1,113 @@
+/**
+ * Copyright 2018 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the 'License');
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an 'AS IS' BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+import {SearchEngine} from '../src/ui/SearchEngine.js';
+
+const ITEMS = [
+  {text: 'Page', fullText: '', facets: {kind: 'class', className: 'Page', since: 'v0.9.0', deprecated: false, area: 'api'}},
+  {text: "page.on('close')", fullText: '', facets: {kind: 'event', className: 'Page', since: 'v0.9.0', deprecated: false, area: 'api'}},
+  {text: 'page.goto(url[, options])', fullText: '', facets: {kind: 'method', className: 'Page', since: 'v0.9.0', deprecated: false, area: 'api'}},
+  {text: 'page.waitFor(selectorOrFunctionOrTimeout[, options])', fullText: '', facets: {kind: 'method', className: 'Page', since: 'v0.9.0', deprecated: true, area: 'api'}},
+  {text: 'page.waitForFileChooser([options])', fullText: '', facets: {kind: 'method', className: 'Page', since: 'v1.20.0', deprecated: false, area: 'api'}},
+  {text: 'page.keyboard', fullText: '', facets: {kind: 'namespace', className: 'Page', since: 'v0.9.0', deprecated: false, area: 'api'}},
+  {text: 'browser.close()', fullText: '', facets: {kind: 'method', className: 'Browser', since: 'v0.9.0', deprecated: false, area: 'api'}},
+  {text: 'Installation', fullText: '', facets: {kind: 'section', className: '', since: '', deprecated: false, area: 'docs'}},
+];
+
+/**
+ * @param {string} query
+ * @param {!Array<!Object>=} items
+ * @return {!Promise<!Array<string>>} - texts of matching items, sorted.
+ */
+async function search(query, items = ITEMS) {
+  const engine = new SearchEngine();
+  engine.setItems('api', items);
+  const results = await engine.search(['api'], query, () => false);
+  return results.map(result => items[result.index].text).sort();
+}
+
+describe('SearchEngine.parseQuery', () => {
+  it('should split qualifiers from text', () => {
+    assert.deepEqual(SearchEngine.parseQuery('kind:event Class:Page close'), {
+      text: 'close',
+      filters: [{name: 'kind', value: 'event'}, {name: 'class', value: 'page'}],
+    });
+  });
+
+  it('should keep unknown qualifiers in text', () => {
+    assert.deepEqual(SearchEngine.parseQuery('foo:bar goto'), {text: 'foo:bar goto', filters: []});
+  });
+
+  it('should keep qualifiers with malformed values in text', () => {
+    assert.deepEqual(SearchEngine.parseQuery('since:foo goto'), {text: 'since:foo goto', filters: []});
+    assert.deepEqual(SearchEngine.parseQuery('since:>'), {text: 'since:>', filters: []});
+    assert.deepEqual(SearchEngine.parseQuery('since:'), {text: 'since:', filters: []});
+    assert.deepEqual(SearchEngine.parseQuery('deprecated:maybe'), {text: 'deprecated:maybe', filters: []});
+  });
+
+  it('should accept version conditions', () => {
+    assert.deepEqual(SearchEngine.parseQuery('since:>=v1.5 since:<2 since:=v1.20.0').filters, [
+      {name: 'since', value: '>=v1.5'},
+      {name: 'since', value: '<2'},
+      {name: 'since', value: '=v1.20.0'},
+    ]);
+  });
+});
+
+describe('SearchEngine qualifiers', () => {
+  it('should filter by kind', async () => {
+    assert.deepEqual(await search('kind:event'), ["page.on('close')"]);
+    assert.deepEqual(await search('kind:ns'), ['page.keyboard']);
+  });
+
+  it('should filter by class', async () => {
+    assert.deepEqual(await search('class:browser'), ['browser.close()']);
+  });
+
+  it('should filter by version', async () => {
+    assert.deepEqual(await search('since:v1.20'), ['page.waitForFileChooser([options])']);
+    assert.deepEqual(await search('since:>v1.20.0'), []);
+    assert.deepEqual(await search('kind:method since:<v1'), [
+      'browser.close()',
+      'page.goto(url[, options])',
+      'page.waitFor(selectorOrFunctionOrTimeout[, options])',
+    ]);
+  });
+
+  it('should filter by deprecation', async () => {
+    assert.deepEqual(await search('deprecated:true'), ['page.waitFor(selectorOrFunctionOrTimeout[, options])']);
+    assert.ok(!(await search('deprecated:no')).includes('page.waitFor(selectorOrFunctionOrTimeout[, options])'));
+  });
+
+  it('should filter by area', async () => {
+    assert.deepEqual(await search('in:docs'), ['Installation']);
+  });
+
+  it('should combine qualifiers with text', async () => {
+    assert.deepEqual(await search('class:page kind:method wait'), [
+      'page.waitFor(selectorOrFunctionOrTimeout[, options])',
+      'page.waitForFileChooser([options])',
+    ]);
+  });
+
+  it('should search for malformed qualifiers as text', async () => {
+    const section = {text: 'Release Notes', fullText: 'Search supports since:v2 qualifiers', facets: {kind: 'section', className: '', since: 'v1.0.0', deprecated: false, area: 'release-notes'}};
+    assert.deepEqual(await search('since:v', [section]), ['Release Notes']);
+    assert.deepEqual(await search('since:v2', [section]), []);
+  });
+});